@@ -8,6 +8,14 @@
  * Architecture:
  * - index.js: Module lifecycle, state management, Companion integration
  * - api.js: TCP socket lifecycle (connect, disconnect, send)
+ * - pipeline.js: Command/reply correlation (outstanding command FIFO)
+ * - bulk.js: Flow-controlled bulk queries (names, crosspoints, locks)
+ * - history.js: Route history for undo/redo
+ * - audit.js: Audit log files (routes, locks, salvos, connection events)
+ * - snapshots.js: Named crosspoint state snapshots (capture, restore, compare)
+ * - magnum.js: Salvo list from the MAGNUM web interface
+ * - capture.js: Traffic capture files (recording and offline replay)
+ * - simulator.js: In-process simulated Quartz router (demo/testing mode)
  * - quartz.js: Protocol handling (command building, response parsing, framing)
  * - actions.js: Companion action definitions
  * - feedbacks.js: Companion feedback definitions
@@ -36,13 +44,30 @@ const {
 	MessageType,
 	parseCrosspointGroups,
 	buildReadNamesCommand,
+	buildReadDestinationCommand,
+	buildReadSourceCommand,
 	buildInterrogateAllCommand,
 	buildListRoutesAllCommand,
 	buildLockInterrogateAllCommand,
 	buildLockInterrogateCommand,
+	buildListRoutesCommand,
 } = require('./src/quartz')
+const { CommandPipeline, CommandStatus } = require('./src/pipeline')
+const { BulkQueryScheduler, DEFAULT_BULK_WINDOW } = require('./src/bulk')
+const { RouteHistory, DEFAULT_HISTORY_DEPTH } = require('./src/history')
+const { AuditLog, AuditOrigin, DEFAULT_AUDIT_RETENTION_DAYS } = require('./src/audit')
+const { captureSnapshot } = require('./src/snapshots')
+const { fetchPresetList, buildPresetListUrl } = require('./src/magnum')
 
-const { getXptVariableLevels, lockStatusToLabel } = require('./src/constants')
+const {
+	getXptVariableLevels,
+	getConfiguredLevels,
+	lockStatusToLabel,
+	parsePortRanges,
+	parseModuleSalvos,
+	ControllerRole,
+	ConnectionMode,
+} = require('./src/constants')
 
 /**
  * How long to wait for a .L reply before falling back to .I, in milliseconds.
@@ -57,6 +82,39 @@ const LIST_ROUTES_PROBE_TIMEOUT = 2000
  */
 const LOCK_STATUS_INTERROGATE_TIMEOUT = 500
 
+/**
+ * How long to wait for each name read while detecting the router size, in milliseconds.
+ * @type {number}
+ */
+const SIZE_PROBE_TIMEOUT = 2000
+
+/**
+ * Largest source/destination ID probed when detecting the router size.
+ * @type {number}
+ */
+const MAX_ROUTER_SIZE = 4096
+
+/**
+ * How long after sending a route or lock command the router's report of it
+ * is attributed to this instance in the audit log, in milliseconds.
+ * @type {number}
+ */
+const LOCAL_CHANGE_WINDOW = 10000
+
+/**
+ * @typedef {Object} PendingRoute
+ * @property {number} source - Source the route should land
+ * @property {Set<string>} levels - Levels not yet confirmed
+ * @property {NodeJS.Timeout} timer - Verification timeout
+ * @property {function(RouteVerification): void} resolve - Settles the verification
+ */
+
+/**
+ * @typedef {Object} RouteVerification
+ * @property {boolean} confirmed - True when every level landed with the requested source
+ * @property {string} [reason] - Why verification failed
+ */
+
 /**
  * @typedef {Object} ChoiceEntry
  * @property {string} id - Unique identifier for the choice
@@ -105,6 +163,60 @@ class QuartzInstance extends InstanceBase {
 		 */
 		this.CHOICES_SOURCES = [{ id: '0', label: 'No Sources Loaded' }]
 
+		/**
+		 * Levels of the configured level system for dropdown choices,
+		 * labelled with router level names once known
+		 * @type {ChoiceEntry[]}
+		 */
+		this.CHOICES_LEVELS = []
+
+		/**
+		 * Snapshots stored in the config, for dropdown choices
+		 * @type {ChoiceEntry[]}
+		 */
+		this.CHOICES_SNAPSHOTS = []
+
+		/**
+		 * Router salvos read from the MAGNUM preset list, for dropdown choices
+		 * @type {ChoiceEntry[]}
+		 */
+		this.CHOICES_SALVOS = []
+
+		/**
+		 * Router salvos read from the MAGNUM preset list
+		 * @type {MagnumPreset[]}
+		 */
+		this.magnumPresets = []
+
+		/** In-flight MAGNUM preset list fetch, to dedupe concurrent callers. @type {Promise<void>|null} */
+		this._magnumFetchPromise = null
+
+		/**
+		 * Config fields kept in Companion's secrets store (the MAGNUM password)
+		 * @type {Object}
+		 */
+		this.secrets = {}
+
+		/**
+		 * Salvos defined in the config, for dropdown choices
+		 * @type {ChoiceEntry[]}
+		 */
+		this.CHOICES_MODULE_SALVOS = []
+
+		/**
+		 * Salvos parsed from the Module Salvos config field
+		 * @type {ModuleSalvo[]}
+		 */
+		this.moduleSalvos = []
+
+		/**
+		 * Level names from .RAL responses
+		 * Structure: { [level]: name }
+		 * Example: { 'V': 'Video', 'A': 'Embedded 1-2' }
+		 * @type {Object.<string, string>}
+		 */
+		this.levelNames = {}
+
 		/**
 		 * Current crosspoint state - maps destination to source per level
 		 * Structure: { [level]: { [destination]: source } }
@@ -121,12 +233,76 @@ class QuartzInstance extends InstanceBase {
 		 */
 		this.locks = {}
 
+		/**
+		 * Crosspoints added to the router's queue (.Q) and not yet fired or cleared.
+		 * A later queued route for the same destination and levels replaces the earlier one.
+		 * @type {{ levels: string, destination: number|string, source: number|string }[]}
+		 */
+		this.queuedRoutes = []
+
+		/**
+		 * Verified routes waiting for the router to confirm them, one per destination
+		 * Structure: { [destination]: PendingRoute }
+		 * @type {Object.<number, PendingRoute>}
+		 */
+		this.pendingRoutes = {}
+
+		/**
+		 * Levels selected for the Take workflow, or null for every configured level
+		 * (until an operator changes the selection)
+		 * @type {Set<string>|null}
+		 */
+		this.selectedLevels = null
+
 		/**
 		 * Quartz protocol parser instance
 		 * @type {QuartzParser|null}
 		 */
 		this.parser = null
 
+		/**
+		 * Outstanding commands awaiting a reply, for request/response correlation
+		 * @type {CommandPipeline}
+		 */
+		this.pipeline = new CommandPipeline({ onTimeout: (pending) => this._handleMissedReply(pending) })
+
+		/**
+		 * Sends bulk state queries in windows, so large routers aren't flooded
+		 * @type {BulkQueryScheduler}
+		 */
+		this.bulk = new BulkQueryScheduler({
+			write: (cmd) => this._writeCommands(cmd),
+			onProgress: (job) => this._updateQueryProgress(job),
+		})
+
+		/**
+		 * Crosspoint changes the router reported, for undo/redo
+		 * @type {RouteHistory}
+		 */
+		this.history = new RouteHistory()
+
+		/**
+		 * Audit log writer, when the audit log is enabled
+		 * @type {AuditLog|null}
+		 */
+		this.auditLog = null
+
+		/**
+		 * Routes, locks and router salvos this instance just sent, so the audit
+		 * log can tell them from outside changes. Keyed `route:{dest}:{level}`
+		 * (value: source), `lock:{dest}` (value: true) or `salvo` (value: salvo ID).
+		 * @type {Map<string, { value: number|boolean, expires: number }>}
+		 */
+		this.localChanges = new Map()
+
+		/**
+		 * Levels named by source-routed feedbacks, by feedback ID. Polled with
+		 * the other levels, so a feedback can check a level that has no
+		 * crosspoint variables.
+		 * @type {Map<string, string[]>}
+		 */
+		this.feedbackLevels = new Map()
+
 		/**
 		 * Whether the router supports .L (list routes). null = not yet probed.
 		 * @type {boolean|null}
@@ -136,13 +312,37 @@ class QuartzInstance extends InstanceBase {
 		/** In-flight .L support probe, to dedupe concurrent callers. @type {Promise<boolean>|null} */
 		this._listRoutesProbePromise = null
 
+		/**
+		 * Whether the router accepts .M (multi-set). null = not yet tried.
+		 * @type {boolean|null}
+		 */
+		this._multiSetSupported = null
+
+		/**
+		 * Router size found by auto-detection (see _detectRouterSize()). null = not detected.
+		 * @type {{ destinations: number, sources: number }|null}
+		 */
+		this.detectedSize = null
+
 		/**
 		 * Whether a full refresh (probe + names + crosspoints + locks) is running.
-		 * Polling is skipped while it is, so poll replies can't reach the probe.
+		 * Polling is skipped while it is, so the two don't request the same state twice.
 		 * @type {boolean}
 		 */
 		this._refreshInProgress = false
 
+		/**
+		 * Name refresh in flight, to dedupe the interval, the action and reconnects
+		 * @type {Promise<string>|null}
+		 */
+		this._nameRefreshPromise = null
+
+		/**
+		 * Names added or renamed during the name refresh in flight, by kind
+		 * @type {Object.<string, { added: number, renamed: number }>|null}
+		 */
+		this._nameChanges = null
+
 		/**
 		 * Polling interval reference
 		 * @type {NodeJS.Timeout|null}
@@ -150,17 +350,83 @@ class QuartzInstance extends InstanceBase {
 		this.INTERVAL = null
 
 		/**
-		 * Reconnection interval reference
+		 * Name refresh interval reference
+		 * @type {NodeJS.Timeout|null}
+		 */
+		this.NAME_INTERVAL = null
+
+		/**
+		 * Next reconnect attempt timer reference
 		 * @type {NodeJS.Timeout|null}
 		 */
 		this.RECONNECT_INTERVAL = null
 
+		/**
+		 * Reconnect attempts since the connection was last up
+		 * @type {number}
+		 */
+		this.reconnectAttempt = 0
+
+		/**
+		 * Whether the "Disconnect" action closed the connection, so it isn't re-established
+		 * @type {boolean}
+		 */
+		this.manuallyDisconnected = false
+
+		/**
+		 * Countdown to failing over to the other controller
+		 * @type {NodeJS.Timeout|null}
+		 */
+		this.FAILOVER_TIMEOUT = null
+
+		/**
+		 * Primary controller recovery checks, while on the backup
+		 * @type {NodeJS.Timeout|null}
+		 */
+		this.FAILBACK_INTERVAL = null
+
+		/**
+		 * Link watchdog check interval reference
+		 * @type {NodeJS.Timeout|null}
+		 */
+		this.WATCHDOG_INTERVAL = null
+
+		/**
+		 * When the last message arrived from the router (ms since epoch), or null before the first
+		 * @type {number|null}
+		 */
+		this.lastMessageTime = null
+
+		/**
+		 * Commands in a row whose reply never arrived, since the last message
+		 * @type {number}
+		 */
+		this.missedReplies = 0
+
+		/**
+		 * Controller of the redundant pair in use (one of ControllerRole)
+		 * @type {string}
+		 */
+		this.activeController = ControllerRole.PRIMARY
+
+		/**
+		 * Capture replay step timer reference
+		 * @type {NodeJS.Timeout|null}
+		 */
+		this.REPLAY_TIMEOUT = null
+
 		/**
 		 * TCP socket instance
 		 * @type {TCPHelper|null}
 		 */
 		this.socket = null
 
+		/**
+		 * Traffic capture file writer, while recording
+		 * @type {TrafficRecorder|null}
+		 */
+		this.recorder = null
+
 		/**
 		 * Last command sent (for debugging)
 		 * @type {string}
@@ -176,10 +442,12 @@ class QuartzInstance extends InstanceBase {
 	 *
 	 * @async
 	 * @param {Object} config - Module configuration from Companion
+	 * @param {boolean} _isFirstInit - Whether the instance was just created
+	 * @param {Object} [secrets] - Secret config fields from Companion
 	 * @returns {Promise<void>}
 	 */
-	async init(config) {
-		await this.configUpdated(config)
+	async init(config, _isFirstInit, secrets) {
+		await this.configUpdated(config, secrets)
 	}
 
 	/**
@@ -199,12 +467,52 @@ class QuartzInstance extends InstanceBase {
 				this.INTERVAL = null
 			}
 
-			// Clear reconnection interval
+			// Clear name refresh interval
+			if (this.NAME_INTERVAL) {
+				clearInterval(this.NAME_INTERVAL)
+				this.NAME_INTERVAL = null
+			}
+
+			// Clear failover countdown and failback checks
+			if (this.FAILOVER_TIMEOUT) {
+				clearTimeout(this.FAILOVER_TIMEOUT)
+				this.FAILOVER_TIMEOUT = null
+			}
+			if (this.FAILBACK_INTERVAL) {
+				clearInterval(this.FAILBACK_INTERVAL)
+				this.FAILBACK_INTERVAL = null
+			}
+
+			// Clear link watchdog
+			if (this.WATCHDOG_INTERVAL) {
+				clearInterval(this.WATCHDOG_INTERVAL)
+				this.WATCHDOG_INTERVAL = null
+			}
+
+			// Clear pending reconnect attempt
 			if (this.RECONNECT_INTERVAL) {
-				clearInterval(this.RECONNECT_INTERVAL)
+				clearTimeout(this.RECONNECT_INTERVAL)
 				this.RECONNECT_INTERVAL = null
 			}
 
+			// Stop any replay in progress
+			if (this.REPLAY_TIMEOUT) {
+				clearTimeout(this.REPLAY_TIMEOUT)
+				this.REPLAY_TIMEOUT = null
+			}
+
+			// Finish the capture and audit files
+			this._stopRecording()
+			this.auditLog?.close()
+			this.auditLog = null
+
+			// Settle anything still waiting for a reply
+			this.bulk.cancel()
+			this.pipeline.clear()
+			for (const destination of Object.keys(this.pendingRoutes)) {
+				this._finishPendingRoute(destination, { confirmed: false, reason: 'module destroyed' })
+			}
+
 			// Clean up parser
 			if (this.parser) {
 				this.parser.removeAllListeners()
@@ -229,15 +537,36 @@ class QuartzInstance extends InstanceBase {
 	 *
 	 * @async
 	 * @param {Object} config - Updated module configuration
+	 * @param {Object} [secrets] - Updated secret config fields
 	 * @returns {Promise<void>}
 	 */
-	async configUpdated(config) {
+	async configUpdated(config, secrets) {
 		this.config = config
+		this.secrets = secrets ?? {}
+
+		this._buildLevelChoices()
+		this._buildSnapshotChoices()
+		this._loadModuleSalvos()
+		if (!config.magnum_presets) {
+			this.magnumPresets = []
+		}
+		this._buildSalvoChoices()
+		this._applyPortRanges()
+		this.history.depth = Number(config.history_depth ?? DEFAULT_HISTORY_DEPTH)
+		this._openAuditLog()
 
 		// Initialize protocol parser with message handler
 		this._initParser()
 
-		// Initialize TCP connection
+		// Initialize TCP connection, starting afresh from the primary controller
+		this._cancelFailover()
+		this.activeController = ControllerRole.PRIMARY
+		this.reconnectAttempt = 0
+		this.manuallyDisconnected = false
+		this._stopRecording()
+		if (config.record_traffic && config.connection_mode !== ConnectionMode.REPLAY) {
+			this._startRecording()
+		}
 		this.initConnection()
 
 		// Initialize Companion definitions
@@ -258,19 +587,21 @@ class QuartzInstance extends InstanceBase {
 	 */
 	_initParser() {
 		if (this.parser) {
-			// Config changed, not a fresh init: just clear buffered partial data.
-			// Recreating the parser here would tear down listeners registered by
-			// in-flight operations (e.g. the .L support probe), orphaning them.
-			this.parser.reset()
+			// Config changed, not a fresh init: just clear buffered partial data
+			// and pick up the character set. Recreating the parser here would tear
+			// down listeners registered by in-flight operations, orphaning them.
+			this.parser.setEncoding(this.config.encoding)
 			return
 		}
 
 		// Create new parser
-		this.parser = new QuartzParser()
+		this.parser = new QuartzParser({ encoding: this.config.encoding })
 
-		// Handle parsed messages
+		// Handle parsed messages, attributing replies to the command they answer
 		this.parser.on('message', (message) => {
-			this._handleParsedMessage(message)
+			this._noteLinkActivity()
+			const command = this.pipeline.handleMessage(message)
+			this._handleParsedMessage(message, command)
 		})
 	}
 
@@ -282,9 +613,10 @@ class QuartzInstance extends InstanceBase {
 	 *
 	 * @private
 	 * @param {ParsedMessage} message - Parsed message from QuartzParser
+	 * @param {PendingCommand|null} [command] - The command this message answers, if any
 	 * @returns {void}
 	 */
-	_handleParsedMessage(message) {
+	_handleParsedMessage(message, command = null) {
 		switch (message.type) {
 			case MessageType.DESTINATION_NAME:
 				this._handleDestinationName(message)
@@ -294,6 +626,10 @@ class QuartzInstance extends InstanceBase {
 				this._handleSourceName(message)
 				break
 
+			case MessageType.LEVEL_NAME:
+				this._handleLevelName(message)
+				break
+
 			case MessageType.CROSSPOINT_UPDATE:
 				this._handleCrosspointUpdate(message)
 				break
@@ -308,13 +644,17 @@ class QuartzInstance extends InstanceBase {
 
 			case MessageType.POWER_UP:
 				this.log('info', 'Router power up or reset detected')
+				this._audit({ event: 'power_up', origin: AuditOrigin.EXTERNAL, detail: 'Router power up or reset' })
+				// The router's queue doesn't survive a reset
+				this._clearQueuedRoutes()
 				// Re-request state and re-probe .L support after reset
 				this._listRoutesSupported = null
+				this._multiSetSupported = null
 				this._refreshFromRouter()
 				break
 
 			case MessageType.ERROR:
-				this._handleProtocolError(message)
+				this._handleProtocolError(message, command)
 				break
 
 			case MessageType.UNKNOWN:
@@ -342,7 +682,8 @@ class QuartzInstance extends InstanceBase {
 		}
 
 		// Update or add entry
-		this._updateChoiceList(this.CHOICES_DESTINATIONS, entry, 'destination')
+		const change = this._updateChoiceList(this.CHOICES_DESTINATIONS, entry, 'destination')
+		this._noteNameChange('destination', change)
 
 		this.setVariableValues({
 			[`dst_${message.id}_name`]: message.name,
@@ -367,6 +708,7 @@ class QuartzInstance extends InstanceBase {
 
 		// Update or add entry
 		const changed = this._updateChoiceList(this.CHOICES_SOURCES, entry, 'source')
+		this._noteNameChange('source', changed)
 
 		this.setVariableValues({
 			[`src_${message.id}_name`]: message.name,
@@ -375,515 +717,1715 @@ class QuartzInstance extends InstanceBase {
 		// Crosspoints already routed from this source are now showing a stale name
 		if (changed) {
 			this._refreshCrosspointNameVariables(message.id)
+			this._refreshBreakawayVariables(message.id)
 		}
 	}
 
 	/**
-	 * Refreshes the video-level crosspoint name variables for a source
+	 * Handles a level name message
 	 *
-	 * Crosspoint name variables hold the name of the routed source, so they are
-	 * empty or stale whenever the router reports a name for a source that is
-	 * already routed somewhere.
+	 * Stores the name, publishes it as a variable and relabels level
+	 * choices and crosspoint variable definitions when it changes.
 	 *
 	 * @private
-	 * @param {number} source - Source ID whose name changed
+	 * @param {LevelNameMessage} message - Level name message
 	 * @returns {void}
 	 */
-	_refreshCrosspointNameVariables(source) {
-		if (!getXptVariableLevels(this.config).includes('V')) {
-			return
-		}
-
-		const destinations = this.crosspoints['V']
-		if (!destinations) {
+	_handleLevelName(message) {
+		const { level, name } = message
+		if (this.levelNames[level] === name) {
 			return
 		}
 
-		const sourceName = this._getSourceLabel(source)
-		const values = {}
+		this._noteNameChange('level', this.levelNames[level] === undefined ? 'added' : 'renamed')
+		this.levelNames[level] = name
 
-		for (const [destination, routedSource] of Object.entries(destinations)) {
-			if (routedSource === source) {
-				values[`xpt_v_${destination}_name`] = sourceName
-			}
-		}
+		this.setVariableValues({
+			[`level_${level.toLowerCase()}_name`]: name,
+		})
 
-		if (Object.keys(values).length > 0) {
-			this.setVariableValues(values)
-		}
+		this._buildLevelChoices()
+		this._variableDefinitionsStale = true
+		this._scheduleActionsRefresh()
 	}
 
 	/**
-	 * Handles a destination lock status message
+	 * Rebuilds CHOICES_LEVELS from the configured level system
 	 *
-	 * Updates internal lock state, Companion variables, and feedbacks.
+	 * Labels follow the '[id] name' format of the source/destination choices,
+	 * falling back to the bare level letter until the router reports a name.
 	 *
 	 * @private
-	 * @param {LockStatusMessage} message - Lock status message (.BA)
 	 * @returns {void}
 	 */
-	_handleLockStatus(message) {
-		const { destination, status } = message
-		this.locks[destination] = status
-
-		const label = lockStatusToLabel(status)
-		this.setVariableValues({
-			[`dst_${destination}_lock_state`]: label,
-		})
-
-		if (this.config.verbose) {
-			this.log('debug', `Lock status: Dest ${destination} = ${label} (${status})`)
-		}
-
-		this.checkFeedbacks('destination_locked')
+	_buildLevelChoices() {
+		this.CHOICES_LEVELS = getConfiguredLevels(this.config).map((level) => ({
+			id: level,
+			label: this.levelNames[level] ? `[${level}] ${this.levelNames[level]}` : level,
+		}))
 	}
 
 	/**
-	 * Handles a crosspoint update message
-	 *
-	 * Updates internal crosspoint state and Companion variables.
-	 * Called both for responses to our commands and for unsolicited
-	 * updates when panels or other controllers change routes.
+	 * Rebuilds CHOICES_SNAPSHOTS from the snapshots stored in the config
 	 *
 	 * @private
-	 * @param {CrosspointUpdateMessage} message - Crosspoint update message
 	 * @returns {void}
 	 */
-	_handleCrosspointUpdate(message) {
-		const { levels, destination, source } = message
-
-		// Update internal state and variables for each level in the message
-		for (const level of levels) {
-			if (!this.crosspoints[level]) {
-				this.crosspoints[level] = {}
-			}
-			this.crosspoints[level][destination] = source
+	_buildSnapshotChoices() {
+		const snapshots = this.getSnapshots()
 
-			// Update Companion variables to reflect new routing
-			this._updateCrosspointVariable(level, destination, source)
-		}
+		this.CHOICES_SNAPSHOTS =
+			snapshots.length > 0
+				? snapshots.map((snapshot) => ({ id: snapshot.name, label: snapshot.name }))
+				: [{ id: '', label: 'No Snapshots Saved' }]
+	}
 
-		// Always log route changes for audit trail in professional environments
-		// This captures both our own commands and external changes (panels, other controllers)
-		const levelStr = levels.join('')
-		const destName = this._getDestinationName(destination)
-		const srcName = this._getSourceName(source)
-		this.log('info', `Route: ${srcName} -> ${destName} (Level ${levelStr})`)
+	/**
+	 * Gets the snapshots stored in the config
+	 *
+	 * @returns {Snapshot[]} Snapshots, in the order they were first saved
+	 */
+	getSnapshots() {
+		return Array.isArray(this.config.snapshots) ? this.config.snapshots : []
+	}
 
-		// Trigger feedback check for any feedbacks monitoring this route
-		this.checkFeedbacks()
+	/**
+	 * Gets a stored snapshot by name
+	 *
+	 * @param {string} name - Snapshot name
+	 * @returns {Snapshot|undefined} The snapshot, or undefined if there is none by that name
+	 */
+	getSnapshot(name) {
+		return this.getSnapshots().find((snapshot) => snapshot.name === name)
 	}
 
 	/**
-	 * Handles an acknowledge message
+	 * Captures the current crosspoint state into a named snapshot
 	 *
-	 * The .A response can contain crosspoint data from interrogate (.I) or
-	 * list (.L) commands. Format: .A{level}{dest},{src} or multiple pairs.
+	 * Covers every tracked level (video, plus the levels with crosspoint
+	 * variables) of the given destinations. A snapshot with the same name is
+	 * replaced. Throws when the name is blank or no crosspoint state is known.
 	 *
-	 * @private
-	 * @param {AcknowledgeMessage} message - Acknowledge message
-	 * @returns {void}
+	 * @param {string} name - Snapshot name
+	 * @param {string} [destinationRanges=''] - Destinations to capture (e.g. `1-16,40`); blank for all
+	 * @returns {Snapshot} The stored snapshot
 	 */
-	_handleAcknowledge(message) {
-		// Simple .A with no data - just an acknowledgment
-		if (!message.data) {
-			return
+	saveSnapshot(name, destinationRanges = '') {
+		const trimmed = String(name ?? '').trim()
+		if (trimmed === '') {
+			const msg = 'Snapshot capture failed: no name given'
+			this.log('error', msg)
+			throw new Error(msg)
 		}
 
-		if (this.config.verbose) {
-			this.log('debug', `Acknowledge with data: ${message.data}`)
+		const known = this.getDestinationIds()
+		const destinations = String(destinationRanges ?? '').trim()
+			? parsePortRanges(destinationRanges).ids.filter((id) => known.includes(id))
+			: known
+		const levels = [...new Set(['V', ...getXptVariableLevels(this.config)])]
+
+		const snapshot = captureSnapshot(
+			trimmed,
+			(level, destination) => this.getRoutedSource(level, destination),
+			destinations,
+			levels,
+		)
+
+		const count = Object.keys(snapshot.crosspoints).length
+		if (count === 0) {
+			const msg = `Snapshot capture failed: no crosspoint state known for "${trimmed}"`
+			this.log('error', msg)
+			throw new Error(msg)
 		}
 
-		// Try to parse as interrogate response: {level}{dest},{src}
-		// Example: V001,005 means dest 1 has source 5 on level V
-		this._parseInterrogateData(message.data)
+		const snapshots = this.getSnapshots()
+		const index = snapshots.findIndex((existing) => existing.name === trimmed)
+		this._storeSnapshots(
+			index === -1
+				? [...snapshots, snapshot]
+				: snapshots.map((existing, i) => (i === index ? snapshot : existing)),
+		)
+
+		this.log('info', `Snapshot "${trimmed}" saved: ${count} destination(s), levels ${levels.join('')}`)
+		return snapshot
 	}
 
 	/**
-	 * Parses interrogate response data and updates crosspoint state
-	 *
-	 * Handles both single interrogate responses (.IV1 -> .AV001,005)
-	 * and list responses (.LV1,- -> .AV001,005V002,003V003,001...)
-	 *
-	 * Updates both internal state and Companion variables for each
-	 * crosspoint parsed.
+	 * Deletes a stored snapshot
 	 *
-	 * @private
-	 * @param {string} data - Data portion of .A response (after the .A prefix)
+	 * @param {string} name - Snapshot name
 	 * @returns {void}
 	 */
-	_parseInterrogateData(data) {
-		const groups = parseCrosspointGroups(data)
-		if (groups.length === 0) {
-			return
+	deleteSnapshot(name) {
+		if (!this.getSnapshot(name)) {
+			const msg = `Snapshot delete failed: no snapshot named "${name}"`
+			this.log('error', msg)
+			throw new Error(msg)
 		}
 
-		for (const { level, destination, source } of groups) {
-			// Update internal crosspoint state
-			if (!this.crosspoints[level]) {
-				this.crosspoints[level] = {}
-			}
-			this.crosspoints[level][destination] = source
+		this._storeSnapshots(this.getSnapshots().filter((snapshot) => snapshot.name !== name))
+		this.log('info', `Snapshot "${name}" deleted`)
+	}
 
-			// Update Companion variables to reflect current routing
-			this._updateCrosspointVariable(level, destination, source)
+	/**
+	 * Rebuilds CHOICES_SALVOS from the MAGNUM preset list
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	_buildSalvoChoices() {
+		this.CHOICES_SALVOS = this.magnumPresets.map((preset) => ({
+			id: preset.id,
+			label: `${preset.id}: ${preset.name}`,
+		}))
+	}
 
-			if (this.config.verbose) {
-				this.log('debug', `Interrogate: Dest ${destination} = Source ${source} (Level ${level})`)
+	/**
+	 * Re-reads the router's salvos from the MAGNUM preset list
+	 *
+	 * Does nothing unless Fetch Salvo List from MAGNUM is on. The host is
+	 * MAGNUM Host, or the router's IP address when that is blank. When the
+	 * list can't be read the previous one is kept. A new list rebuilds the
+	 * salvo dropdown, `salvo_{id}_name` variables and Salvos presets.
+	 *
+	 * @async
+	 * @returns {Promise<void>}
+	 */
+	refreshMagnumPresets() {
+		if (this._magnumFetchPromise) {
+			return this._magnumFetchPromise
+		}
+
+		this._magnumFetchPromise = this._fetchMagnumPresets().finally(() => {
+			this._magnumFetchPromise = null
+		})
+		return this._magnumFetchPromise
+	}
+
+	/**
+	 * @private
+	 * @async
+	 * @returns {Promise<void>}
+	 */
+	async _fetchMagnumPresets() {
+		if (!this.config.magnum_presets) {
+			return
+		}
+
+		const host = String(this.config.magnum_host || this.config.host || '').trim()
+		if (host === '') {
+			this.log('warn', 'MAGNUM salvo list: no MAGNUM Host or IP Address set')
+			return
+		}
+
+		let presets
+		try {
+			presets = await fetchPresetList({
+				host,
+				username: this.config.magnum_username,
+				password: this.secrets.magnum_password,
+			})
+		} catch (error) {
+			this.log('warn', `MAGNUM salvo list: could not read ${buildPresetListUrl(host)}: ${error.message}`)
+			return
+		}
+
+		const definitionsChanged =
+			presets.length !== this.magnumPresets.length ||
+			presets.some((preset, i) => preset.id !== this.magnumPresets[i].id)
+
+		this.magnumPresets = presets
+		this._buildSalvoChoices()
+		this.log('info', `MAGNUM salvo list: ${presets.length} salvo(s)`)
+
+		this.setVariableValues(Object.fromEntries(presets.map((preset) => [`salvo_${preset.id}_name`, preset.name])))
+		if (definitionsChanged) {
+			this._variableDefinitionsStale = true
+		}
+		this._scheduleActionsRefresh()
+	}
+
+	/**
+	 * Parses the Module Salvos config field and rebuilds CHOICES_MODULE_SALVOS
+	 *
+	 * Lines that don't parse are logged and left out.
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	_loadModuleSalvos() {
+		const { salvos, invalid } = parseModuleSalvos(this.config.module_salvos)
+
+		if (invalid.length > 0) {
+			this.log('warn', `Module Salvos: ignoring invalid lines: ${invalid.join(' | ')}`)
+		}
+
+		this.moduleSalvos = salvos
+		this.CHOICES_MODULE_SALVOS =
+			salvos.length > 0
+				? salvos.map((salvo) => ({ id: salvo.name, label: salvo.name }))
+				: [{ id: '', label: 'No Module Salvos Defined' }]
+	}
+
+	/**
+	 * Gets a salvo defined in the config by name
+	 *
+	 * @param {string} name - Module salvo name
+	 * @returns {ModuleSalvo|undefined} The salvo, or undefined if there is none by that name
+	 */
+	getModuleSalvo(name) {
+		return this.moduleSalvos.find((salvo) => salvo.name === name)
+	}
+
+	/**
+	 * Whether every crosspoint of a module salvo is currently routed as it sets it
+	 *
+	 * @param {string} name - Module salvo name
+	 * @returns {boolean} True when the salvo is live; false when it isn't, or there is no such salvo
+	 */
+	isModuleSalvoLive(name) {
+		const salvo = this.getModuleSalvo(name)
+
+		return (
+			salvo !== undefined &&
+			salvo.routes.every(({ levels, destination, source }) =>
+				[...levels].every((level) => this.getRoutedSource(level, destination) === source),
+			)
+		)
+	}
+
+	/**
+	 * Saves the snapshot list to the config and rebuilds the dropdowns that list it
+	 *
+	 * @private
+	 * @param {Snapshot[]} snapshots - Snapshots to keep
+	 * @returns {void}
+	 */
+	_storeSnapshots(snapshots) {
+		this.config = { ...this.config, snapshots }
+		this.saveConfig(this.config)
+
+		this._buildSnapshotChoices()
+		this.initActions()
+		this.initFeedbacks()
+		this.initPresets()
+	}
+
+	/**
+	 * Gets the display label for a level
+	 *
+	 * @private
+	 * @param {string} level - Level character
+	 * @returns {string} Router level name, or the level character when unknown
+	 */
+	_getLevelLabel(level) {
+		return this.levelNames[level] || level
+	}
+
+	/**
+	 * Refreshes the video-level crosspoint name variables for a source
+	 *
+	 * Crosspoint name variables hold the name of the routed source, so they are
+	 * empty or stale whenever the router reports a name for a source that is
+	 * already routed somewhere.
+	 *
+	 * @private
+	 * @param {number} source - Source ID whose name changed
+	 * @returns {void}
+	 */
+	_refreshCrosspointNameVariables(source) {
+		if (!getXptVariableLevels(this.config).includes('V')) {
+			return
+		}
+
+		const destinations = this.crosspoints['V']
+		if (!destinations) {
+			return
+		}
+
+		const sourceName = this._getSourceLabel(source)
+		const values = {}
+
+		for (const [destination, routedSource] of Object.entries(destinations)) {
+			if (routedSource === source) {
+				values[`xpt_v_${destination}_name`] = sourceName
+			}
+		}
+
+		if (Object.keys(values).length > 0) {
+			this.setVariableValues(values)
+		}
+	}
+
+	/**
+	 * Refreshes the breakaway summaries that name a source
+	 *
+	 * @private
+	 * @param {number} source - Source ID whose name changed
+	 * @returns {void}
+	 */
+	_refreshBreakawayVariables(source) {
+		const levels = getConfiguredLevels(this.config)
+
+		for (const destination of this.getDestinationIds()) {
+			if (levels.some((level) => this.getRoutedSource(level, destination) === source)) {
+				this._updateBreakawayVariable(destination)
+			}
+		}
+	}
+
+	/**
+	 * Handles a destination lock status message
+	 *
+	 * Updates internal lock state, Companion variables, and feedbacks.
+	 *
+	 * @private
+	 * @param {LockStatusMessage} message - Lock status message (.BA)
+	 * @returns {void}
+	 */
+	_handleLockStatus(message) {
+		const { destination, status } = message
+		const previous = this.locks[destination]
+		this.locks[destination] = status
+
+		const label = lockStatusToLabel(status)
+
+		// Initial lock reads aren't changes
+		if (previous !== undefined && previous !== status) {
+			this._audit({
+				event: 'lock',
+				origin: this._isLocalChange(`lock:${destination}`, true) ? AuditOrigin.LOCAL : AuditOrigin.EXTERNAL,
+				destination,
+				detail: `${label} (${status})`,
+			})
+		}
+		this.setVariableValues({
+			[`dst_${destination}_lock_state`]: label,
+			[`dst_${destination}_lock_owner`]: status,
+		})
+
+		if (this.config.verbose) {
+			this.log('debug', `Lock status: Dest ${destination} = ${label} (${status})`)
+		}
+
+		this.checkFeedbacks('destination_locked', 'destination_lock_owner', 'destination_source')
+	}
+
+	/**
+	 * Handles a crosspoint update message
+	 *
+	 * Updates internal crosspoint state and Companion variables.
+	 * Called both for responses to our commands and for unsolicited
+	 * updates when panels or other controllers change routes.
+	 *
+	 * @private
+	 * @param {CrosspointUpdateMessage} message - Crosspoint update message
+	 * @returns {void}
+	 */
+	_handleCrosspointUpdate(message) {
+		const { levels, destination, source } = message
+		const changes = []
+		const unchanged = []
+
+		// Update internal state and variables for each level in the message
+		for (const level of levels) {
+			if (!this.crosspoints[level]) {
+				this.crosspoints[level] = {}
+			}
+
+			const previous = this.crosspoints[level][destination]
+			if (previous !== undefined && previous !== source) {
+				changes.push({ level, from: previous, to: source })
+			} else {
+				unchanged.push(level)
 			}
+
+			this.crosspoints[level][destination] = source
+
+			// Update Companion variables to reflect new routing
+			this._updateCrosspointVariable(level, destination, source)
+
+			this._checkPendingRoute(level, destination, source, true)
+		}
+
+		this._updateBreakawayVariable(destination)
+
+		this.history.settleUnchanged(destination, unchanged)
+		if (changes.length > 0 && this.history.record(destination, changes)) {
+			this._updateHistoryState()
 		}
 
+		// Always log route changes for audit trail in professional environments
+		// This captures both our own commands and external changes (panels, other controllers)
+		const levelStr = levels.join('')
+		const destName = this._getDestinationName(destination)
+		const srcName = this._getSourceName(source)
+		this.log('info', `Route: ${srcName} -> ${destName} (Level ${levelStr})`)
+
+		this._audit({
+			event: 'route',
+			...this._routeOrigin(destination, levels, source),
+			levels: levelStr,
+			destination,
+			source,
+		})
+
+		// Trigger feedback check for any feedbacks monitoring this route
 		this.checkFeedbacks()
 	}
 
 	/**
-	 * Updates Companion variables for a crosspoint change
+	 * Handles an acknowledge message
 	 *
-	 * Sets the active source ID variable for the level/destination, plus the
-	 * resolved source name variable on the video level.
+	 * The .A response can contain crosspoint data from interrogate (.I) or
+	 * list (.L) commands. Format: .A{level}{dest},{src} or multiple pairs.
 	 *
 	 * @private
-	 * @param {string} level - Level character (e.g., 'V' for video)
-	 * @param {number} destination - Destination ID
-	 * @param {number} source - Source ID currently routed to destination
+	 * @param {AcknowledgeMessage} message - Acknowledge message
 	 * @returns {void}
 	 */
-	_updateCrosspointVariable(level, destination, source) {
-		// Only levels that have variables defined for them are published — none
-		// at all when enable_xpt_variables is off.
-		if (!getXptVariableLevels(this.config).includes(level)) {
+	_handleAcknowledge(message) {
+		// Simple .A with no data - just an acknowledgment
+		if (!message.data) {
 			return
 		}
 
-		const levelLower = level.toLowerCase()
-		const values = {
-			[`xpt_${levelLower}_${destination}`]: String(source),
+		if (this.config.verbose) {
+			this.log('debug', `Acknowledge with data: ${message.data}`)
 		}
 
-		// Names are only published for the video level
-		if (level === 'V') {
-			values[`xpt_${levelLower}_${destination}_name`] = this._getSourceLabel(source)
+		// Try to parse as interrogate response: {level}{dest},{src}
+		// Example: V001,005 means dest 1 has source 5 on level V
+		this._parseInterrogateData(message.data)
+	}
+
+	/**
+	 * Parses interrogate response data and updates crosspoint state
+	 *
+	 * Handles both single interrogate responses (.IV1 -> .AV001,005)
+	 * and list responses (.LV1,- -> .AV001,005V002,003V003,001...)
+	 *
+	 * Updates both internal state and Companion variables for each
+	 * crosspoint parsed. A crosspoint that differs from the known state
+	 * changed without a .U reaching us (missed, or while reconnecting), so it
+	 * goes into route history and the audit log like a reported change.
+	 *
+	 * @private
+	 * @param {string} data - Data portion of .A response (after the .A prefix)
+	 * @returns {void}
+	 */
+	_parseInterrogateData(data) {
+		const groups = parseCrosspointGroups(data)
+		if (groups.length === 0) {
+			return
+		}
+
+		// Changes per destination, for history and the audit log
+		const changes = new Map()
+
+		for (const { level, destination, source } of groups) {
+			// Update internal crosspoint state
+			if (!this.crosspoints[level]) {
+				this.crosspoints[level] = {}
+			}
+
+			const previous = this.crosspoints[level][destination]
+			if (previous !== undefined && previous !== source) {
+				changes.set(destination, [...(changes.get(destination) ?? []), { level, from: previous, to: source }])
+			}
+
+			this.crosspoints[level][destination] = source
+
+			// Update Companion variables to reflect current routing
+			this._updateCrosspointVariable(level, destination, source)
+
+			this._checkPendingRoute(level, destination, source, false)
+
+			if (this.config.verbose) {
+				this.log('debug', `Interrogate: Dest ${destination} = Source ${source} (Level ${level})`)
+			}
+		}
+
+		for (const destination of new Set(groups.map((group) => group.destination))) {
+			this._updateBreakawayVariable(destination)
+		}
+
+		for (const [destination, destinationChanges] of changes) {
+			this._recordMissedChanges(destination, destinationChanges)
+		}
+
+		this.checkFeedbacks()
+	}
+
+	/**
+	 * Records crosspoint changes found by interrogation instead of a .U
+	 *
+	 * Adds them to route history and writes an audit entry per source, as
+	 * _handleCrosspointUpdate() does for reported changes.
+	 *
+	 * @private
+	 * @param {number} destination - Destination ID
+	 * @param {Array<{level: string, from: number, to: number}>} changes - Levels whose source changed
+	 * @returns {void}
+	 */
+	_recordMissedChanges(destination, changes) {
+		if (this.history.record(destination, changes)) {
+			this._updateHistoryState()
+		}
+
+		const bySource = new Map()
+		for (const { level, to } of changes) {
+			bySource.set(to, (bySource.get(to) ?? '') + level)
+		}
+
+		for (const [source, levelStr] of bySource) {
+			this.log(
+				'info',
+				`Route (found by interrogate): ${this._getSourceName(source)} -> ${this._getDestinationName(destination)} (Level ${levelStr})`,
+			)
+
+			const { origin, detail } = this._routeOrigin(destination, [...levelStr], source)
+			this._audit({
+				event: 'route',
+				origin,
+				levels: levelStr,
+				destination,
+				source,
+				detail: [detail, 'found by interrogate; no .U received'].filter(Boolean).join('; '),
+			})
+		}
+	}
+
+	/**
+	 * Updates Companion variables for a crosspoint change
+	 *
+	 * Sets the active source ID variable for the level/destination, plus the
+	 * resolved source name variable on the video level.
+	 *
+	 * @private
+	 * @param {string} level - Level character (e.g., 'V' for video)
+	 * @param {number} destination - Destination ID
+	 * @param {number} source - Source ID currently routed to destination
+	 * @returns {void}
+	 */
+	_updateCrosspointVariable(level, destination, source) {
+		// Only levels that have variables defined for them are published — none
+		// at all when enable_xpt_variables is off.
+		if (!getXptVariableLevels(this.config).includes(level)) {
+			return
+		}
+
+		const levelLower = level.toLowerCase()
+		const values = {
+			[`xpt_${levelLower}_${destination}`]: String(source),
+		}
+
+		// Names are only published for the video level
+		if (level === 'V') {
+			values[`xpt_${levelLower}_${destination}_name`] = this._getSourceLabel(source)
+		}
+
+		this.setVariableValues(values)
+	}
+
+	/**
+	 * Handles a protocol error message
+	 *
+	 * Logs the error along with the command it answers. Errors answering a
+	 * command someone is waiting on (e.g. an action's route) are reported by
+	 * that caller instead. Errors on name reads are usually caused by
+	 * max_sources or max_destinations being set higher than router capacity
+	 * (which Detect Router Size avoids).
+	 *
+	 * @private
+	 * @param {ErrorMessage} message - Error message
+	 * @param {PendingCommand|null} command - The command the error answers, if known
+	 * @returns {void}
+	 */
+	_handleProtocolError(message, command) {
+		if (!command) {
+			this.log('error', `Received error from router: ${message.raw}`)
+			return
+		}
+
+		if (command.awaited) {
+			if (this.config.verbose) {
+				this.log('debug', `Router returned an error for ${command.command}`)
+			}
+			return
+		}
+
+		const isNameRead = /^\.R[DS]/.test(command.command)
+		const hint = isNameRead
+			? ' Are max_destinations or max_sources too high? Turn on Detect Router Size to find them.'
+			: ''
+		this.log('error', `Router returned an error for ${command.command}.${hint}`)
+	}
+
+	/**
+	 * Updates a choice list with a new entry
+	 *
+	 * Handles the "No X Loaded" placeholder and avoids duplicates.
+	 * Triggers action refresh when the list changes.
+	 *
+	 * @private
+	 * @param {ChoiceEntry[]} list - The choice list to update
+	 * @param {ChoiceEntry} entry - The entry to add or update
+	 * @param {string} type - Type name for logging ('destination' or 'source')
+	 * @returns {string|null} 'added' or 'renamed' when the list changed, null otherwise
+	 */
+	_updateChoiceList(list, entry, _type) {
+		// Remove placeholder if present
+		if (list.length === 1 && list[0].id === '0') {
+			list.length = 0
+		}
+
+		// Find existing entry
+		const existingIndex = list.findIndex((e) => e.id === entry.id)
+
+		if (existingIndex >= 0) {
+			// Nothing to do when the label is unchanged
+			if (list[existingIndex].label === entry.label) {
+				return null
+			}
+
+			list[existingIndex] = entry
+			this._scheduleActionsRefresh()
+			return 'renamed'
+		}
+
+		// Add new entry
+		list.push(entry)
+		this._scheduleActionsRefresh()
+		return 'added'
+	}
+
+	/**
+	 * Counts a name change towards the summary of the name refresh in flight
+	 *
+	 * @private
+	 * @param {string} kind - 'destination', 'source' or 'level'
+	 * @param {string|null} change - 'added', 'renamed', or null when unchanged
+	 * @returns {void}
+	 */
+	_noteNameChange(kind, change) {
+		if (!change || !this._nameChanges) {
+			return
+		}
+
+		this._nameChanges[kind] ??= { added: 0, renamed: 0 }
+		this._nameChanges[kind][change]++
+	}
+
+	/**
+	 * Schedules an actions refresh
+	 *
+	 * Uses a debounce mechanism to avoid excessive refreshes
+	 * when many names arrive in quick succession.
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	_scheduleActionsRefresh() {
+		// Simple debounce - refresh after all messages processed
+		if (this._refreshTimeout) {
+			clearTimeout(this._refreshTimeout)
+		}
+
+		this._refreshTimeout = setTimeout(() => {
+			this.initActions()
+			this.initFeedbacks()
+			this.initPresets()
+			if (this._variableDefinitionsStale) {
+				this._variableDefinitionsStale = false
+				this.updateVariableDefinitions()
+			}
+			this._refreshTimeout = null
+		}, 100)
+	}
+
+	/**
+	 * Called when TCP connection is established
+	 *
+	 * Triggers initial data retrieval from the router.
+	 * This is called by api.js when the socket connects.
+	 *
+	 * @returns {void}
+	 */
+	onConnected() {
+		this.log('info', 'Refreshing data from router')
+		this._listRoutesSupported = null // reconnect may land on different hardware
+		this._listRoutesProbePromise = null // discard any probe still pending from the previous connection
+		this._multiSetSupported = null
+		this._clearQueuedRoutes() // whatever was queued belonged to the previous session
+		this._refreshFromRouter()
+		this.refreshMagnumPresets()
+	}
+
+	/**
+	 * Refreshes names, crosspoint state, and lock state from the router.
+	 *
+	 * Probes .L support before anything else is asked for, so the crosspoint
+	 * request already knows whether it can batch.
+	 *
+	 * @private
+	 * @returns {Promise<void>}
+	 */
+	async _refreshFromRouter() {
+		this._refreshInProgress = true
+		try {
+			await this._probeListRoutesSupport()
+			if (this.config.auto_detect_size) {
+				await this._detectRouterSize()
+			}
+			this.refreshNames()
+			this._requestCrosspoints()
+			this._requestLocks()
+		} finally {
+			this._refreshInProgress = false
+		}
+	}
+
+	/**
+	 * Detects how many destinations and sources the router has
+	 *
+	 * The router answers a name read for an ID it doesn't have with .E, so
+	 * the highest ID that still returns a name is found by binary search on
+	 * .RD and .RS (about a dozen reads each). The search assumes IDs are
+	 * contiguous, so where Destination/Source Ranges are set, each range's
+	 * last ID is read instead. On success, variables, polling and choice
+	 * lists are resized to match. If the router doesn't answer, the current
+	 * size is kept.
+	 *
+	 * @private
+	 * @returns {Promise<void>}
+	 */
+	async _detectRouterSize() {
+		const destinations = await this._probePortCount(
+			this.config.destination_ranges,
+			'Destination Ranges',
+			buildReadDestinationCommand,
+		)
+		const sources = destinations
+			? await this._probePortCount(this.config.source_ranges, 'Source Ranges', buildReadSourceCommand)
+			: null
+
+		if (!destinations || !sources) {
+			this.log(
+				'warn',
+				`Could not detect router size; keeping ${this.getDestinationCount()} destinations, ${this.getSourceCount()} sources`,
+			)
+			return
+		}
+
+		this.log('info', `Detected router size: ${destinations} destinations, ${sources} sources`)
+		this._applyRouterSize({ destinations, sources })
+	}
+
+	/**
+	 * Finds the port count for one side of the router
+	 *
+	 * Without ranges, the highest ID the router has (see _probeHighestId()).
+	 * With ranges, the highest range end the router answers a name read for;
+	 * range ends it rejects are logged, as those ports don't exist.
+	 *
+	 * @private
+	 * @param {string|undefined} ranges - Range list from the config
+	 * @param {string} label - Name of the range setting, for the log
+	 * @param {function(number): string} buildCommand - Builds the name read for an ID
+	 * @returns {Promise<number|null>} Port count, 0 when there are none, or null if the router stopped answering
+	 */
+	async _probePortCount(ranges, label, buildCommand) {
+		const { ids } = parsePortRanges(ranges)
+		if (ids.length === 0) {
+			return this._probeHighestId(buildCommand)
+		}
+
+		let highest = 0
+		for (const end of ids.filter((id, i) => ids[i + 1] !== id + 1)) {
+			const result = await this.sendCommandAwaitReply(buildCommand(end), { timeout: SIZE_PROBE_TIMEOUT })
+
+			if (result.status === CommandStatus.OK) {
+				highest = end
+			} else if (result.status === CommandStatus.ERROR) {
+				this.log('warn', `${label}: router has no port ${end}`)
+			} else {
+				return null
+			}
+		}
+
+		return highest
+	}
+
+	/**
+	 * Finds the highest ID the router answers a name read for
+	 *
+	 * Binary search over 1 to MAX_ROUTER_SIZE, so only right for routers
+	 * whose IDs have no gaps.
+	 *
+	 * @private
+	 * @param {function(number): string} buildCommand - Builds the name read for an ID
+	 * @returns {Promise<number|null>} Highest ID with a name, 0 when there are none, or null if the router stopped answering
+	 */
+	async _probeHighestId(buildCommand) {
+		let low = 0 // highest ID known to exist
+		let high = MAX_ROUTER_SIZE + 1 // lowest ID known not to exist
+
+		while (high - low > 1) {
+			const mid = Math.floor((low + high) / 2)
+			const result = await this.sendCommandAwaitReply(buildCommand(mid), { timeout: SIZE_PROBE_TIMEOUT })
+
+			if (result.status === CommandStatus.OK) {
+				low = mid
+			} else if (result.status === CommandStatus.ERROR) {
+				high = mid
+			} else {
+				return null
+			}
+		}
+
+		return low
+	}
+
+	/**
+	 * Resizes variables and choice lists to a detected router size
+	 *
+	 * @private
+	 * @param {{ destinations: number, sources: number }} size - Detected size
+	 * @returns {void}
+	 */
+	_applyRouterSize(size) {
+		const unchanged = size.destinations === this.getDestinationCount() && size.sources === this.getSourceCount()
+
+		this.detectedSize = size
+
+		if (unchanged) {
+			this.setVariableValues({ router_destinations: size.destinations, router_sources: size.sources })
+			return
+		}
+
+		// Names beyond the router's size came from a larger manual setting
+		this._trimChoiceLists()
+
+		this.initVariables()
+		this._scheduleActionsRefresh()
+	}
+
+	/**
+	 * Drops source and destination choices outside the ports in use
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	_trimChoiceLists() {
+		this._trimChoiceList(this.CHOICES_DESTINATIONS, this.getDestinationIds(), 'No Destinations Loaded')
+		this._trimChoiceList(this.CHOICES_SOURCES, this.getSourceIds(), 'No Sources Loaded')
+	}
+
+	/**
+	 * Removes choices whose ID isn't in a set of ports
+	 *
+	 * @private
+	 * @param {ChoiceEntry[]} list - The choice list to trim
+	 * @param {number[]} ids - Port IDs to keep
+	 * @param {string} placeholder - Label of the placeholder restored when nothing is left
+	 * @returns {void}
+	 */
+	_trimChoiceList(list, ids, placeholder) {
+		const keep = new Set(ids.map(String))
+		const kept = list.filter((entry) => keep.has(entry.id))
+		list.length = 0
+		list.push(...(kept.length > 0 ? kept : [{ id: '0', label: placeholder }]))
+	}
+
+	/**
+	 * Checks the destination/source range config and trims choices to match
+	 *
+	 * Called on every config change, so names read under an earlier, wider
+	 * setting don't linger in dropdowns and presets.
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	_applyPortRanges() {
+		for (const [field, label] of [
+			['destination_ranges', 'Destination Ranges'],
+			['source_ranges', 'Source Ranges'],
+		]) {
+			const { invalid } = parsePortRanges(this.config[field])
+			if (invalid.length > 0) {
+				this.log('warn', `${label}: ignoring invalid entries: ${invalid.join(', ')}`)
+			}
+		}
+
+		this._trimChoiceLists()
+	}
+
+	/**
+	 * Destination IDs variables, polling, choices and presets cover
+	 *
+	 * The configured Destination Ranges (e.g. 1-64,501-540), or 1 to the
+	 * destination count when none are set.
+	 *
+	 * @returns {number[]} Destination IDs in ascending order
+	 */
+	getDestinationIds() {
+		return this._getPortIds(this.config.destination_ranges, this.getDestinationCount())
+	}
+
+	/**
+	 * Source IDs variables, polling, choices and presets cover
+	 *
+	 * The configured Source Ranges, or 1 to the source count when none are
+	 * set.
+	 *
+	 * @returns {number[]} Source IDs in ascending order
+	 */
+	getSourceIds() {
+		return this._getPortIds(this.config.source_ranges, this.getSourceCount())
+	}
+
+	/**
+	 * Ranges the user set are kept as they are, even past a detected size:
+	 * they are how ports beyond a gap are reached.
+	 *
+	 * @private
+	 * @param {string|undefined} ranges - Range list from the config
+	 * @param {number} count - Port count in use
+	 * @returns {number[]} Port IDs
+	 */
+	_getPortIds(ranges, count) {
+		const { ids } = parsePortRanges(ranges)
+
+		return ids.length > 0 ? ids : Array.from({ length: count }, (_, i) => i + 1)
+	}
+
+	/**
+	 * Number of destinations variables, polling and choices are sized for
+	 *
+	 * The detected size when Detect Router Size is on and detection has
+	 * succeeded, otherwise Max Destinations.
+	 *
+	 * @returns {number}
+	 */
+	getDestinationCount() {
+		return (this.config.auto_detect_size && this.detectedSize?.destinations) || this.config.max_destinations || 16
+	}
+
+	/**
+	 * Number of sources variables, polling and choices are sized for
+	 *
+	 * The detected size when Detect Router Size is on and detection has
+	 * succeeded, otherwise Max Sources.
+	 *
+	 * @returns {number}
+	 */
+	getSourceCount() {
+		return (this.config.auto_detect_size && this.detectedSize?.sources) || this.config.max_sources || 16
+	}
+
+	/**
+	 * Probes .L (list routes) support with a single .LV1,-.
+	 *
+	 * The command pipeline attributes the router's reply to the probe, so a
+	 * crosspoint .A settles it as supported and an .E or no reply at all as not
+	 * supported. Falling back is always safe: .I is universally supported,
+	 * just chattier.
+	 *
+	 * Result is cached until the next connect or router power-up.
+	 *
+	 * @private
+	 * @returns {Promise<boolean>}
+	 */
+	_probeListRoutesSupport() {
+		if (this._listRoutesSupported !== null) {
+			return Promise.resolve(this._listRoutesSupported)
+		}
+		if (this._listRoutesProbePromise) {
+			return this._listRoutesProbePromise
+		}
+
+		const probe = this.sendCommandAwaitReply(buildListRoutesCommand('V', 1), {
+			timeout: LIST_ROUTES_PROBE_TIMEOUT,
+			optional: true, // controllers without .L just don't answer
+		}).then((result) => {
+			// A reconnect while this was in flight discards the probe (see onConnected())
+			if (this._listRoutesProbePromise !== probe) {
+				return this._listRoutesSupported ?? false
+			}
+
+			const supported = result.status === CommandStatus.OK && parseCrosspointGroups(result.reply.data).length > 0
+
+			this._listRoutesSupported = supported
+			this._listRoutesProbePromise = null
+			this.log(
+				'info',
+				`Crosspoint polling: .L ${supported ? 'is supported — batching enabled' : 'not supported — using .I'}`,
+			)
+			return supported
+		})
+
+		this._listRoutesProbePromise = probe
+		return probe
+	}
+
+	/**
+	 * Re-reads every source, destination and level name from the router
+	 *
+	 * Runs on connect, on router power-up, every name_refresh_interval minutes
+	 * (unless set to manual) and from the "Refresh Names Now" action. A refresh
+	 * already in flight is joined rather than started again. Actions,
+	 * feedbacks and presets are only rebuilt when a name actually changed.
+	 *
+	 * When done, logs and publishes a summary of what changed
+	 * (e.g. "3 sources renamed").
+	 *
+	 * @returns {Promise<string>} Summary of the changes
+	 */
+	refreshNames() {
+		if (this._nameRefreshPromise) {
+			return this._nameRefreshPromise
+		}
+
+		this._nameChanges = {}
+
+		const refresh = this._requestNames().then((result) => {
+			let summary = this._summarizeNameChanges(this._nameChanges)
+			if (result.aborted) {
+				summary += ' (incomplete)'
+			}
+
+			this._nameChanges = null
+			this._nameRefreshPromise = null
+
+			if (summary !== 'no changes') {
+				this.log('info', `Name refresh: ${summary}`)
+			} else if (this.config.verbose) {
+				this.log('debug', `Name refresh: ${summary}`)
+			}
+			this.setVariableValues({ name_refresh_summary: summary })
+
+			return summary
+		})
+
+		this._nameRefreshPromise = refresh
+		return refresh
+	}
+
+	/**
+	 * Describes the name changes of a refresh
+	 *
+	 * @private
+	 * @param {Object.<string, { added: number, renamed: number }>} changes - Changes by kind
+	 * @returns {string} e.g. '3 sources renamed, 1 destination added', or 'no changes'
+	 */
+	_summarizeNameChanges(changes) {
+		const parts = []
+
+		for (const kind of ['source', 'destination', 'level']) {
+			for (const change of ['renamed', 'added']) {
+				const count = changes[kind]?.[change] ?? 0
+				if (count > 0) {
+					parts.push(`${count} ${kind}${count === 1 ? '' : 's'} ${change}`)
+				}
+			}
+		}
+
+		return parts.length > 0 ? parts.join(', ') : 'no changes'
+	}
+
+	/**
+	 * Called on polling interval
+	 *
+	 * Refreshes crosspoint state. Names have their own interval (see
+	 * refreshNames()), as they rarely change. Lock state isn't re-polled here —
+	 * the router pushes .BA unsolicited on change; full refresh happens on
+	 * connect/power-up instead (see onConnected()).
+	 *
+	 * Skipped while a refresh is running: it already requests everything a poll
+	 * would, and polls queued behind its .L probe would only delay it.
+	 *
+	 * @returns {void}
+	 */
+	poll() {
+		if (this._refreshInProgress) {
+			return
+		}
+
+		this._requestCrosspoints()
+	}
+
+	/**
+	 * Requests source, destination and level names from the router
+	 *
+	 * Builds and sends the appropriate Quartz commands to
+	 * retrieve all configured source and destination names, plus
+	 * the names of every level in the configured level system.
+	 *
+	 * @private
+	 * @returns {Promise<BulkQueryResult>} Settles when every name has been read
+	 */
+	_requestNames() {
+		const cmd = buildReadNamesCommand(
+			this.getDestinationIds(),
+			this.getSourceIds(),
+			getConfiguredLevels(this.config),
+		)
+		return this._runBulkQuery('names', cmd)
+	}
+
+	/**
+	 * Requests current crosspoint state from the router
+	 *
+	 * Always interrogates the base 'V' level (matches this module's original
+	 * behavior — video routing state is core functionality independent of
+	 * the optional xpt_* variables). When enable_xpt_variables is on, also
+	 * interrogates every other level configured via xpt_levels, and any
+	 * level a source-routed feedback names (see getPolledLevels()).
+	 *
+	 * Uses .L (list routes, up to 8 per response) instead of one .I per
+	 * destination when the router's been probed as supporting it — see
+	 * _probeListRoutesSupport(). Falls back to .I otherwise.
+	 *
+	 * The router responds with .A messages containing the current source
+	 * for each destination.
+	 *
+	 * Note: The router also sends unsolicited .U messages whenever
+	 * routes change, so polling is supplementary to real-time updates.
+	 *
+	 * @private
+	 * @param {string[]} [levels] - Levels to read; every polled level when omitted
+	 * @returns {Promise<BulkQueryResult>} Settles when every crosspoint has been read
+	 */
+	_requestCrosspoints(levels) {
+		const destinations = this.getDestinationIds()
+
+		const buildAll = this._listRoutesSupported === true ? buildListRoutesAllCommand : buildInterrogateAllCommand
+
+		let cmd = ''
+		for (const level of levels ?? this.getPolledLevels()) {
+			cmd += buildAll(level, destinations)
+		}
+		return this._runBulkQuery(levels ? `crosspoints ${levels.join('')}` : 'crosspoints', cmd)
+	}
+
+	/**
+	 * Levels whose crosspoints are polled and tracked
+	 *
+	 * 'V', every level with crosspoint variables, and every level a
+	 * source-routed feedback names.
+	 *
+	 * @returns {string[]} Level characters (e.g. ['V', 'A', 'C'])
+	 */
+	getPolledLevels() {
+		return [...new Set(['V', ...getXptVariableLevels(this.config), ...[...this.feedbackLevels.values()].flat()])]
+	}
+
+	/**
+	 * Notes the levels a feedback checks, and reads any not polled so far
+	 *
+	 * @private
+	 * @param {string} feedbackId - Feedback instance ID
+	 * @param {string[]} levels - Levels the feedback names
+	 * @returns {void}
+	 */
+	_watchFeedbackLevels(feedbackId, levels) {
+		const polled = this.getPolledLevels()
+		this.feedbackLevels.set(feedbackId, levels)
+
+		const added = levels.filter((level) => !polled.includes(level))
+		if (added.length === 0) {
+			return
+		}
+
+		this.log('info', `Polling level(s) ${added.join('')} for source routed feedbacks`)
+		if (this.isConnected()) {
+			this._requestCrosspoints(added)
+		}
+	}
+
+	/**
+	 * Stops polling levels only a removed feedback named
+	 *
+	 * @private
+	 * @param {string} feedbackId - Feedback instance ID
+	 * @returns {void}
+	 */
+	_unwatchFeedbackLevels(feedbackId) {
+		this.feedbackLevels.delete(feedbackId)
+	}
+
+	/**
+	 * Requests lock status for all configured destinations
+	 *
+	 * @private
+	 * @returns {Promise<BulkQueryResult>} Settles when every lock status has been read
+	 */
+	_requestLocks() {
+		const cmd = buildLockInterrogateAllCommand(this.getDestinationIds())
+		return this._runBulkQuery('locks', cmd)
+	}
+
+	/**
+	 * Sends a bulk query through the flow-controlled scheduler
+	 *
+	 * At most bulk_window commands are outstanding at once; the rest go as
+	 * replies come back. A query already queued or running isn't queued again.
+	 * Unanswered commands are summarised in the log once the query finishes.
+	 * A stalled query doesn't fail over on its own: some controllers never
+	 * answer optional queries such as .BI, and the backup would behave the
+	 * same. A controller that has really gone quiet is caught by the link
+	 * watchdog instead.
+	 *
+	 * @private
+	 * @param {string} name - Query name, shown in the query_progress variable
+	 * @param {string} cmd - '\r'-separated commands, as built by the build*All helpers
+	 * @returns {Promise<BulkQueryResult>} Settles when the query finishes
+	 */
+	async _runBulkQuery(name, cmd) {
+		const commands = cmd.split('\r').filter((line) => line.length > 0)
+		const window = Number(this.config.bulk_window) || DEFAULT_BULK_WINDOW
+
+		const result = await this.bulk.enqueue(name, commands, { window })
+
+		if (result.timeouts > 0) {
+			const detail = result.stalled ? ', gave up after a whole window went unanswered' : ''
+			this.log('warn', `Bulk ${name} query: ${result.timeouts} of ${result.total} commands got no reply${detail}`)
+		}
+
+		return result
+	}
+
+	/**
+	 * Publishes bulk query progress (e.g. "names 812/2048", or "idle")
+	 *
+	 * @private
+	 * @param {BulkQueryJob|null} job - Running query, or null when none is
+	 * @returns {void}
+	 */
+	_updateQueryProgress(job) {
+		this.setVariableValues({
+			query_progress: job ? `${job.name} ${job.done}/${job.commands.length}` : 'idle',
+		})
+	}
+
+	/**
+	 * Opens (or, with the audit log off, closes) the audit log for the current config
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	_openAuditLog() {
+		this.auditLog?.close()
+		this.auditLog = null
+
+		if (!this.config.audit_log) {
+			return
+		}
+
+		if (!this.config.audit_dir) {
+			this.log('warn', 'Audit log is enabled but no audit directory is configured')
+			return
+		}
+
+		this.auditLog = new AuditLog({
+			directory: this.config.audit_dir,
+			instance: this.label,
+			format: this.config.audit_format,
+			retentionDays: Number(this.config.audit_retention_days ?? DEFAULT_AUDIT_RETENTION_DAYS),
+		})
+		this.auditLog.on('error', (error) => {
+			this.log('error', `Audit log: ${error.message}`)
+		})
+	}
+
+	/**
+	 * Writes an audit log entry, adding the destination and source names
+	 *
+	 * Does nothing while the audit log is off.
+	 *
+	 * @private
+	 * @param {AuditEntry} entry - Entry to write
+	 * @returns {void}
+	 */
+	_audit(entry) {
+		if (!this.auditLog) {
+			return
+		}
+
+		const names = {}
+		if (entry.destination !== undefined) {
+			names.destination_name = this._getDestinationLabel(entry.destination)
+		}
+		if (entry.source !== undefined) {
+			names.source_name = this._getSourceLabel(entry.source)
+		}
+
+		this.auditLog.write({ ...entry, ...names })
+	}
+
+	/**
+	 * Notes routes this instance is about to send, for the audit log's origin
+	 *
+	 * @private
+	 * @param {{ levels: string, destination: number|string, source: number|string }[]} routes - Routes being sent
+	 * @returns {void}
+	 */
+	_noteLocalRoutes(routes) {
+		for (const { levels, destination, source } of routes) {
+			for (const level of String(levels).toUpperCase()) {
+				this._noteLocalChange(`route:${parseInt(destination, 10)}:${level}`, parseInt(source, 10))
+			}
+		}
+	}
+
+	/**
+	 * Notes a change this instance is about to make, for the audit log's origin
+	 *
+	 * @private
+	 * @param {string} key - `route:{dest}:{level}`, `lock:{dest}` or `salvo`
+	 * @param {number|boolean} value - Source being routed, true for a lock change, or the salvo ID
+	 * @returns {void}
+	 */
+	_noteLocalChange(key, value) {
+		const now = Date.now()
+		for (const [noted, { expires }] of this.localChanges) {
+			if (expires <= now) {
+				this.localChanges.delete(noted)
+			}
 		}
 
-		this.setVariableValues(values)
+		this.localChanges.set(key, { value, expires: now + LOCAL_CHANGE_WINDOW })
 	}
 
 	/**
-	 * Handles a protocol error message
+	 * Whether a change the router reported is one this instance just made
 	 *
-	 * Logs the error for debugging. Common cause is max_sources
-	 * or max_destinations being set higher than router capacity.
+	 * A match uses the note up, so a later outside change to the same
+	 * crosspoint or lock isn't taken for ours.
 	 *
 	 * @private
-	 * @param {ErrorMessage} message - Error message
-	 * @returns {void}
+	 * @param {string} key - `route:{dest}:{level}` or `lock:{dest}`
+	 * @param {number|boolean} value - Source routed, or true for a lock change
+	 * @returns {boolean}
 	 */
-	_handleProtocolError(_message) {
-		this.log('error', 'Received error from router. Are max_destinations or max_sources too high?')
+	_isLocalChange(key, value) {
+		const noted = this.localChanges.get(key)
+		if (noted === undefined || noted.value !== value || noted.expires <= Date.now()) {
+			return false
+		}
+
+		this.localChanges.delete(key)
+		return true
 	}
 
 	/**
-	 * Updates a choice list with a new entry
+	 * Audit origin of a route the router reported
 	 *
-	 * Handles the "No X Loaded" placeholder and avoids duplicates.
-	 * Triggers action refresh when the list changes.
+	 * Local when it matches routes this instance sent on every level. The
+	 * router doesn't say which routes a salvo holds, so routes reported
+	 * within LOCAL_CHANGE_WINDOW of a salvo this instance fired count as
+	 * local too, with the salvo named in the detail.
 	 *
 	 * @private
-	 * @param {ChoiceEntry[]} list - The choice list to update
-	 * @param {ChoiceEntry} entry - The entry to add or update
-	 * @param {string} type - Type name for logging ('destination' or 'source')
-	 * @returns {boolean} True when the list changed
+	 * @param {number} destination - Destination ID
+	 * @param {string[]} levels - Levels routed
+	 * @param {number} source - Source routed
+	 * @returns {{ origin: string, detail?: string }}
 	 */
-	_updateChoiceList(list, entry, _type) {
-		// Remove placeholder if present
-		if (list.length === 1 && list[0].id === '0') {
-			list.length = 0
+	_routeOrigin(destination, levels, source) {
+		const matched = levels.filter((level) => this._isLocalChange(`route:${destination}:${level}`, source))
+		if (matched.length === levels.length) {
+			return { origin: AuditOrigin.LOCAL }
 		}
 
-		// Find existing entry
-		const existingIndex = list.findIndex((e) => e.id === entry.id)
-
-		if (existingIndex >= 0) {
-			// Nothing to do when the label is unchanged
-			if (list[existingIndex].label === entry.label) {
-				return false
-			}
-
-			list[existingIndex] = entry
-		} else {
-			// Add new entry
-			list.push(entry)
+		const salvo = this.localChanges.get('salvo')
+		if (salvo !== undefined && salvo.expires > Date.now()) {
+			return { origin: AuditOrigin.LOCAL, detail: `Salvo ${salvo.value}` }
 		}
 
-		this._scheduleActionsRefresh()
-		return true
+		return { origin: AuditOrigin.EXTERNAL }
 	}
 
 	/**
-	 * Schedules an actions refresh
-	 *
-	 * Uses a debounce mechanism to avoid excessive refreshes
-	 * when many names arrive in quick succession.
+	 * Publishes what undo and redo would restore (e.g. "PGM (2): V:CAM1 A:VT3")
 	 *
 	 * @private
 	 * @returns {void}
 	 */
-	_scheduleActionsRefresh() {
-		// Simple debounce - refresh after all messages processed
-		if (this._refreshTimeout) {
-			clearTimeout(this._refreshTimeout)
+	_updateHistoryState() {
+		this.setVariableValues({
+			route_undo: this._describeHistoryEntry(this.history.peekUndo(), true),
+			route_redo: this._describeHistoryEntry(this.history.peekRedo(), false),
+		})
+	}
+
+	/**
+	 * Describes the crosspoints undoing or redoing a history entry would set
+	 *
+	 * @private
+	 * @param {HistoryEntry|null} entry - History entry
+	 * @param {boolean} undo - True for what undo restores, false for what redo restores
+	 * @returns {string} Description, or empty string when there is no entry
+	 */
+	_describeHistoryEntry(entry, undo) {
+		if (!entry) {
+			return ''
 		}
 
-		this._refreshTimeout = setTimeout(() => {
-			this.initActions()
-			this.initFeedbacks()
-			this.initPresets()
-			this._refreshTimeout = null
-		}, 100)
+		const levels = entry.changes.map(({ level, from, to }) => {
+			const source = undo ? from : to
+			return `${level}:${this._getSourceLabel(source) || source}`
+		})
+
+		return `${this._getDestinationName(entry.destination)}: ${levels.join(' ')}`
 	}
 
 	/**
-	 * Called when TCP connection is established
+	 * Gets the source currently routed to a destination on a given level
 	 *
-	 * Triggers initial data retrieval from the router.
-	 * This is called by api.js when the socket connects.
+	 * @param {string} level - Level character (e.g., 'V')
+	 * @param {number|string} destination - Destination ID
+	 * @returns {number|undefined} Source ID, or undefined if unknown
+	 */
+	getRoutedSource(level, destination) {
+		const destNum = typeof destination === 'string' ? parseInt(destination, 10) : destination
+		return this.crosspoints[level]?.[destNum]
+	}
+
+	/**
+	 * Gets the lock status code for a destination
 	 *
-	 * @returns {void}
+	 * @param {number|string} destination - Destination ID
+	 * @returns {number|undefined} Quartz lock status, or undefined if unknown
 	 */
-	onConnected() {
-		this.log('info', 'Refreshing data from router')
-		this._listRoutesSupported = null // reconnect may land on different hardware
-		this._listRoutesProbePromise = null // discard any probe still pending from the previous connection
-		this._refreshFromRouter()
+	getLockStatus(destination) {
+		const destNum = typeof destination === 'string' ? parseInt(destination, 10) : destination
+		return this.locks[destNum]
 	}
 
 	/**
-	 * Refreshes names, crosspoint state, and lock state from the router.
+	 * Gets the levels of a destination that are routed away from its video source
 	 *
-	 * Probes .L support before anything else is asked for, so the probe window
-	 * stays free of the .A replies that name/crosspoint/lock queries produce and
-	 * so the crosspoint request already knows whether it can batch.
+	 * Compares every level of the configured level system whose crosspoint is
+	 * known against level V. A destination with an unknown video crosspoint
+	 * isn't broken away.
 	 *
-	 * @private
-	 * @returns {Promise<void>}
+	 * @param {number|string} destination - Destination ID
+	 * @returns {{ level: string, source: number }[]} Levels that differ from video, in level order
 	 */
-	async _refreshFromRouter() {
-		this._refreshInProgress = true
-		try {
-			await this._probeListRoutesSupport()
-			this._requestNames()
-			this._requestCrosspoints()
-			this._requestLocks()
-		} finally {
-			this._refreshInProgress = false
+	getBreakawayLevels(destination) {
+		const video = this.getRoutedSource('V', destination)
+		if (video === undefined) {
+			return []
 		}
+
+		return getConfiguredLevels(this.config)
+			.filter((level) => level !== 'V')
+			.map((level) => ({ level, source: this.getRoutedSource(level, destination) }))
+			.filter(({ source }) => source !== undefined && source !== video)
 	}
 
 	/**
-	 * Probes .L (list routes) support with a single .LV1,-.
-	 *
-	 * Only a multi-route .A settles the probe as supported: that shape can only
-	 * have come from a .L, whereas a bare .A (command ack) or a single-route .A
-	 * (an .I reply from a poll that was already in flight) is indistinguishable
-	 * from unrelated traffic. Anything else — including .E from an unrelated
-	 * command — is left to the timeout, which falls back to .I. Falling back is
-	 * always safe: .I is universally supported, just chattier.
+	 * Publishes a destination's breakaway summary
 	 *
-	 * Result is cached until the next connect or router power-up.
+	 * `dst_{id}_breakaway` lists the video source then each level routed
+	 * elsewhere, e.g. "V:CAM1 A:VT3", by source name (or ID while the name is
+	 * unknown); it is empty while every known level follows video.
 	 *
 	 * @private
-	 * @returns {Promise<boolean>}
+	 * @param {number} destination - Destination ID
+	 * @returns {void}
 	 */
-	_probeListRoutesSupport() {
-		if (this._listRoutesSupported !== null) {
-			return Promise.resolve(this._listRoutesSupported)
-		}
-		if (this._listRoutesProbePromise) {
-			return this._listRoutesProbePromise
-		}
-		if (!this.parser) {
-			return Promise.resolve(false)
-		}
-
-		const parser = this.parser
-
-		this._listRoutesProbePromise = new Promise((resolve) => {
-			let settled = false
+	_updateBreakawayVariable(destination) {
+		const breakaway = this.getBreakawayLevels(destination)
+		const sourceText = (source) => this._getSourceLabel(source) || String(source)
 
-			const finish = (supported) => {
-				if (settled) return
-				settled = true
-				clearTimeout(timer)
-				parser.off('message', onMessage)
-				this._listRoutesSupported = supported
-				this._listRoutesProbePromise = null
-				this.log(
-					'info',
-					`Crosspoint polling: .L ${supported ? 'is supported — batching enabled' : 'not supported — using .I'}`,
-				)
-				resolve(supported)
-			}
-
-			// Only the very next message can be attributed to this probe with any
-			// confidence — there's no request ID to correlate against, so waiting
-			// for a qualifying message anywhere in the full timeout window risks
-			// matching unrelated traffic from another controller on the router.
-			const onMessage = (message) => {
-				finish(message.type === MessageType.ACKNOWLEDGE && parseCrosspointGroups(message.data).length > 1)
-			}
-
-			const timer = setTimeout(() => finish(false), LIST_ROUTES_PROBE_TIMEOUT)
+		const summary =
+			breakaway.length === 0
+				? ''
+				: [{ level: 'V', source: this.getRoutedSource('V', destination) }, ...breakaway]
+						.map(({ level, source }) => `${level}:${sourceText(source)}`)
+						.join(' ')
 
-			parser.on('message', onMessage)
-			this.sendCommand('.LV1,-') // sendCommand appends \r
+		this.setVariableValues({
+			[`dst_${destination}_breakaway`]: summary,
 		})
-
-		return this._listRoutesProbePromise
 	}
 
 	/**
-	 * Called on polling interval
-	 *
-	 * Refreshes names and crosspoint state. Lock state isn't re-polled here —
-	 * the router pushes .BA unsolicited on change; full refresh happens on
-	 * connect/power-up instead (see onConnected()).
+	 * Interrogates and awaits the lock status for a single destination.
 	 *
-	 * Skipped while a refresh is running: it already requests everything a poll
-	 * would, and its .L probe must not see poll replies.
+	 * Used by sendLockCommand()'s Toggle branch when local lock state is
+	 * unknown, so toggle direction isn't guessed blind. Falls back to the
+	 * (still unknown) cached value if no reply arrives in time.
 	 *
-	 * @returns {void}
+	 * @param {number} destNum - Destination ID
+	 * @returns {Promise<number|undefined>} Lock status, or undefined on timeout
 	 */
-	poll() {
-		if (this._refreshInProgress) {
-			return
+	async _interrogateLockStatus(destNum) {
+		const result = await this.sendCommandAwaitReply(buildLockInterrogateCommand(destNum), {
+			timeout: LOCK_STATUS_INTERROGATE_TIMEOUT,
+		})
+
+		if (result.status === CommandStatus.OK && result.reply.type === MessageType.LOCK_STATUS) {
+			return result.reply.status
 		}
 
-		this._requestNames()
-		this._requestCrosspoints()
+		return this.locks[destNum]
 	}
 
 	/**
-	 * Requests source and destination names from the router
+	 * Starts watching for a route to land, for verified routing
 	 *
-	 * Builds and sends the appropriate Quartz commands to
-	 * retrieve all configured source and destination names.
+	 * Call before sending the .S: the router's .U can arrive ahead of its .A.
+	 * A newer verified route to the same destination supersedes this one.
 	 *
-	 * @private
-	 * @returns {void}
+	 * @param {string} levels - Level string (e.g. 'VA')
+	 * @param {number|string} destination - Destination ID
+	 * @param {number|string} source - Source ID
+	 * @param {number} timeout - How long to wait for every level to be confirmed, in milliseconds
+	 * @returns {Promise<RouteVerification>} Settles when the route is confirmed, refuted or times out
 	 */
-	_requestNames() {
-		const cmd = buildReadNamesCommand(this.config.max_destinations, this.config.max_sources)
-		this.sendCommand(cmd)
+	_watchRoute(levels, destination, source, timeout) {
+		const destNum = parseInt(destination, 10)
+		const srcNum = parseInt(source, 10)
+
+		this._finishPendingRoute(destNum, { confirmed: false, reason: 'superseded by a newer route' })
+
+		return new Promise((resolve) => {
+			const timer = setTimeout(() => {
+				const pending = this.pendingRoutes[destNum]
+				const current = [...pending.levels]
+					.map((level) => `${level}=${this.getRoutedSource(level, destNum) ?? 'unknown'}`)
+					.join(', ')
+				this._finishPendingRoute(destNum, {
+					confirmed: false,
+					reason: `not confirmed within ${timeout}ms (current source: ${current})`,
+				})
+			}, timeout)
+
+			this.pendingRoutes[destNum] = {
+				source: srcNum,
+				levels: new Set(levels.toUpperCase()),
+				timer,
+				resolve,
+			}
+
+			this.checkFeedbacks('route_pending')
+		})
 	}
 
 	/**
-	 * Requests current crosspoint state from the router
-	 *
-	 * Always interrogates the base 'V' level (matches this module's original
-	 * behavior — video routing state is core functionality independent of
-	 * the optional xpt_* variables). When enable_xpt_variables is on, also
-	 * interrogates every other level configured via xpt_levels.
-	 *
-	 * Uses .L (list routes, up to 8 per response) instead of one .I per
-	 * destination when the router's been probed as supporting it — see
-	 * _probeListRoutesSupport(). Falls back to .I otherwise.
-	 *
-	 * The router responds with .A messages containing the current source
-	 * for each destination.
+	 * Checks a reported crosspoint against a pending verified route
 	 *
-	 * Note: The router also sends unsolicited .U messages whenever
-	 * routes change, so polling is supplementary to real-time updates.
+	 * Only a .U can refute a route: a polled .A may have been read before the
+	 * route was taken, so one with a different source is ignored.
 	 *
 	 * @private
+	 * @param {string} level - Level character
+	 * @param {number} destination - Destination ID
+	 * @param {number} source - Source ID now routed
+	 * @param {boolean} isUpdate - True for a .U, false for an .A (interrogate/list) reply
 	 * @returns {void}
 	 */
-	_requestCrosspoints() {
-		const maxDest = this.config.max_destinations
-
-		const levels = new Set(['V', ...getXptVariableLevels(this.config)])
+	_checkPendingRoute(level, destination, source, isUpdate) {
+		const pending = this.pendingRoutes[destination]
+		if (!pending || !pending.levels.has(level)) {
+			return
+		}
 
-		const buildAll = this._listRoutesSupported === true ? buildListRoutesAllCommand : buildInterrogateAllCommand
+		if (source !== pending.source) {
+			if (isUpdate) {
+				this._finishPendingRoute(destination, {
+					confirmed: false,
+					reason: `level ${level} landed with source ${source} instead`,
+				})
+			}
+			return
+		}
 
-		let cmd = ''
-		for (const level of levels) {
-			cmd += buildAll(level, maxDest)
+		pending.levels.delete(level)
+		if (pending.levels.size === 0) {
+			this._finishPendingRoute(destination, { confirmed: true })
 		}
-		this.sendCommand(cmd)
 	}
 
 	/**
-	 * Requests lock status for all configured destinations
+	 * Settles and forgets the pending verified route for a destination, if any
 	 *
 	 * @private
+	 * @param {number} destination - Destination ID
+	 * @param {RouteVerification} result - Verification outcome
 	 * @returns {void}
 	 */
-	_requestLocks() {
-		const cmd = buildLockInterrogateAllCommand(this.config.max_destinations)
-		this.sendCommand(cmd)
+	_finishPendingRoute(destination, result) {
+		const pending = this.pendingRoutes[destination]
+		if (!pending) {
+			return
+		}
+
+		clearTimeout(pending.timer)
+		delete this.pendingRoutes[destination]
+		pending.resolve(result)
+
+		this.checkFeedbacks('route_pending')
 	}
 
 	/**
-	 * Gets the source currently routed to a destination on a given level
+	 * Whether a verified route to the destination is still waiting for confirmation
 	 *
-	 * @param {string} level - Level character (e.g., 'V')
 	 * @param {number|string} destination - Destination ID
-	 * @returns {number|undefined} Source ID, or undefined if unknown
+	 * @returns {boolean}
 	 */
-	getRoutedSource(level, destination) {
+	isRoutePending(destination) {
 		const destNum = typeof destination === 'string' ? parseInt(destination, 10) : destination
-		return this.crosspoints[level]?.[destNum]
+		return this.pendingRoutes[destNum] !== undefined
 	}
 
 	/**
-	 * Gets the lock status code for a destination
+	 * Records a crosspoint added to the router's queue
 	 *
-	 * @param {number|string} destination - Destination ID
-	 * @returns {number|undefined} Quartz lock status, or undefined if unknown
+	 * @param {{ levels: string, destination: number|string, source: number|string }} route - Queued route
+	 * @returns {void}
 	 */
-	getLockStatus(destination) {
-		const destNum = typeof destination === 'string' ? parseInt(destination, 10) : destination
-		return this.locks[destNum]
+	_addQueuedRoute(route) {
+		const index = this.queuedRoutes.findIndex(
+			(queued) => String(queued.destination) === String(route.destination) && queued.levels === route.levels,
+		)
+
+		if (index >= 0) {
+			this.queuedRoutes[index] = route
+		} else {
+			this.queuedRoutes.push(route)
+		}
+
+		this._updateQueueState()
 	}
 
 	/**
-	 * Interrogates and awaits the lock status for a single destination.
-	 *
-	 * Used by sendLockCommand()'s Toggle branch when local lock state is
-	 * unknown, so toggle direction isn't guessed blind. Falls back to the
-	 * (still unknown) cached value if no reply arrives in time.
+	 * Forgets every queued crosspoint, after the queue is fired or cleared
 	 *
-	 * @param {number} destNum - Destination ID
-	 * @returns {Promise<number|undefined>} Lock status, or undefined on timeout
+	 * @returns {void}
 	 */
-	_interrogateLockStatus(destNum) {
-		if (!this.parser) {
-			return Promise.resolve(this.locks[destNum])
+	_clearQueuedRoutes() {
+		if (this.queuedRoutes.length === 0) {
+			return
 		}
 
-		const parser = this.parser
-
-		return new Promise((resolve) => {
-			let settled = false
-
-			const finish = (status) => {
-				if (settled) return
-				settled = true
-				clearTimeout(timer)
-				parser.off('message', onMessage)
-				resolve(status)
-			}
-
-			const onMessage = (message) => {
-				if (message.type === MessageType.LOCK_STATUS && message.destination === destNum) {
-					finish(message.status)
-				}
-			}
-
-			const timer = setTimeout(() => finish(this.locks[destNum]), LOCK_STATUS_INTERROGATE_TIMEOUT)
+		this.queuedRoutes = []
+		this._updateQueueState()
+	}
 
-			parser.on('message', onMessage)
-			this.sendCommand(buildLockInterrogateCommand(destNum))
-		})
+	/**
+	 * Publishes the queue count and refreshes the queue feedbacks
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	_updateQueueState() {
+		this.setVariableValues({ queue_count: this.queuedRoutes.length })
+		this.checkFeedbacks('queue_count', 'destination_queued')
 	}
 
 	/**
@@ -919,6 +2461,52 @@ class QuartzInstance extends InstanceBase {
 		this.checkFeedbacks('selected_source')
 	}
 
+	/**
+	 * Gets the levels selected for the Take workflow
+	 *
+	 * Every level of the configured level system is selected until the
+	 * selection is changed. Levels dropped from the level system drop out.
+	 *
+	 * @returns {string[]} Level characters, in level system order
+	 */
+	getSelectedLevels() {
+		return getConfiguredLevels(this.config).filter((level) => this.selectedLevels?.has(level) ?? true)
+	}
+
+	/**
+	 * Selects, deselects or toggles a level for the Take workflow
+	 *
+	 * @param {string} level - Level character
+	 * @param {string} mode - 'select', 'deselect', 'toggle', or 'only' to select it alone
+	 * @returns {void}
+	 */
+	setLevelSelection(level, mode) {
+		const selected = new Set(this.getSelectedLevels())
+
+		if (mode === 'only') {
+			selected.clear()
+			selected.add(level)
+		} else if (mode === 'deselect' || (mode === 'toggle' && selected.has(level))) {
+			selected.delete(level)
+		} else {
+			selected.add(level)
+		}
+
+		this.selectedLevels = selected
+		this._updateSelectedLevels()
+	}
+
+	/**
+	 * Publishes the selected levels and refreshes the level feedbacks
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	_updateSelectedLevels() {
+		this.setVariableValues({ selected_levels: this.getSelectedLevels().join('') })
+		this.checkFeedbacks('selected_level')
+	}
+
 	/**
 	 * Gets a formatted destination name for logging
 	 *
@@ -971,6 +2559,23 @@ class QuartzInstance extends InstanceBase {
 		const match = entry.label.match(/^\[\d+\]\s*(.*)$/)
 		return match ? match[1] : entry.label
 	}
+
+	/**
+	 * Gets the router-reported name for a destination
+	 *
+	 * @private
+	 * @param {number} id - Destination ID
+	 * @returns {string} Destination name, or empty string when the name is unknown
+	 */
+	_getDestinationLabel(id) {
+		const entry = this.CHOICES_DESTINATIONS.find((e) => e.id === String(id))
+		if (!entry || entry.id === '0') {
+			return ''
+		}
+
+		const match = entry.label.match(/^\[\d+\]\s*(.*)$/)
+		return match ? match[1] : entry.label
+	}
 }
 
 runEntrypoint(QuartzInstance, upgrades)
@@ -6,6 +6,7 @@
  *
  * - Direct routing: Route source to destination immediately
  * - Selection workflow: Select destination, select source, then take
+ * - Queue workflow: Queue crosspoints on the router, then fire them in one take
  * - System control: Fire salvos, lock/unlock destinations
  *
  * @module actions
@@ -13,7 +14,7 @@
  * @see {@link https://github.com/bitfocus/companion-module-evertz-quartz}
  */
 
-const { parseLevelsConfig } = require('./constants')
+const { parseLevelsConfig, parseRouteList, ControllerRole, CONTROLLER_ROLE_CHOICES } = require('./constants')
 
 module.exports = {
 	/**
@@ -37,19 +38,48 @@ module.exports = {
 			name: 'Fire Salvo',
 			description: 'Fire a salvo',
 			options: [
+				{
+					type: 'dropdown',
+					label: 'Salvo',
+					id: 'salvo_list',
+					default: 'custom',
+					choices: [...self.CHOICES_SALVOS, { id: 'custom', label: 'Salvo ID below' }],
+				},
 				{
 					type: 'textinput',
 					label: 'Salvo ID',
 					id: 'salvo',
 					default: '1',
 					useVariables: true,
+					// Buttons made before the dropdown existed have no salvo_list
+					isVisibleExpression: "!$(options:salvo_list) || $(options:salvo_list) == 'custom'",
 				},
 			],
 			callback: async function (action) {
 				let options = action.options
-				let salvo = await self.parseVariablesInString(options.salvo)
-				let command = `.F${salvo}`
-				self.sendCommand(command)
+				let salvo =
+					options.salvo_list && options.salvo_list !== 'custom'
+						? options.salvo_list
+						: await self.parseVariablesInString(options.salvo)
+				await self.sendSalvoCommand(salvo)
+			},
+		}
+
+		actions['fire_module_salvo'] = {
+			name: 'Fire Module Salvo',
+			description: 'Route every crosspoint of a salvo defined in the Module Salvos config',
+			options: [
+				{
+					type: 'dropdown',
+					id: 'salvo',
+					label: 'Salvo',
+					width: 6,
+					default: self.CHOICES_MODULE_SALVOS[0].id,
+					choices: self.CHOICES_MODULE_SALVOS,
+				},
+			],
+			callback: async function (action) {
+				await self.fireModuleSalvo(action.options.salvo)
 			},
 		}
 
@@ -77,9 +107,17 @@ module.exports = {
 						{ id: 'T', label: 'Toggle' },
 					],
 				},
+				{
+					type: 'checkbox',
+					id: 'force',
+					label: "Release another panel's lock",
+					width: 6,
+					default: false,
+					isVisibleExpression: "$(options:lock) != 'L'",
+				},
 			],
 			callback: async function (action) {
-				await self.sendLockCommand(action.options.dst, action.options.lock)
+				await self.sendLockCommand(action.options.dst, action.options.lock, { force: action.options.force })
 			},
 		}
 
@@ -161,6 +199,167 @@ module.exports = {
 			},
 		}
 
+		actions['set_multiple_xpt'] = {
+			name: 'Route Multiple Crosspoints',
+			description: 'Route several level/destination/source crosspoints at once with the .M multi-set command',
+			options: [
+				{
+					type: 'textinput',
+					id: 'routes',
+					label: 'Routes ({levels}{dest},{src}, separated by ; or new lines)',
+					width: 12,
+					default: 'V1,1; V2,2',
+					useVariables: true,
+				},
+				{
+					type: 'textinput',
+					id: 'levels',
+					label: 'Levels (for routes that name none)',
+					width: 6,
+					default: 'V',
+					useVariables: true,
+				},
+			],
+			callback: async function (action) {
+				let options = action.options
+				let text = await self.parseVariablesInString(options.routes)
+				let levels = await self.parseVariablesInString(options.levels)
+				const { routes, invalid } = parseRouteList(text, levels)
+
+				if (invalid.length > 0 || routes.length === 0) {
+					const msg = `Route Multiple Crosspoints failed: ${
+						invalid.length > 0 ? `invalid route(s) ${invalid.join(', ')}` : 'no routes given'
+					}`
+					self.log('error', msg)
+					throw new Error(msg)
+				}
+
+				await self.sendMultiRouteCommand(routes)
+			},
+		}
+
+		// =========================================================================
+		// Queue Workflow Actions
+		// Crosspoints are held in the router's own queue (.Q) until fired together
+		// =========================================================================
+
+		actions['queue_xpt'] = {
+			name: 'Queue Crosspoint',
+			description: "Add a source to destination route to the router's queue without switching it",
+			options: [
+				{
+					type: 'dropdown',
+					id: 'src',
+					label: 'Source',
+					width: 6,
+					default: self.CHOICES_SOURCES[0].id,
+					choices: self.CHOICES_SOURCES,
+				},
+				{
+					type: 'dropdown',
+					id: 'dst',
+					label: 'Destination',
+					width: 6,
+					default: self.CHOICES_DESTINATIONS[0].id,
+					choices: self.CHOICES_DESTINATIONS,
+				},
+				{
+					type: 'textinput',
+					id: 'levels',
+					label: 'Levels',
+					width: 6,
+					default: 'V',
+					useVariables: true,
+				},
+			],
+			callback: async function (action) {
+				let options = action.options
+				let levels = await self.parseVariablesInString(options.levels)
+				await self.sendQueueRouteCommand(levels, options.dst, options.src)
+			},
+		}
+
+		actions['queue_fire'] = {
+			name: 'Fire Queue',
+			description: "Switch every crosspoint in the router's queue in one take",
+			options: [],
+			callback: async function () {
+				await self.sendQueueFireCommand()
+			},
+		}
+
+		actions['queue_clear'] = {
+			name: 'Clear Queue',
+			description: "Discard every crosspoint in the router's queue without switching",
+			options: [],
+			callback: async function () {
+				await self.sendQueueClearCommand()
+			},
+		}
+
+		// =========================================================================
+		// Router State Actions
+		// =========================================================================
+
+		actions['refresh_names'] = {
+			name: 'Refresh Names Now',
+			description: 'Re-read every source, destination and level name from the router',
+			options: [],
+			callback: async function () {
+				if (!self.isConnected()) {
+					const msg = 'Name refresh failed: not connected'
+					self.log('error', msg)
+					throw new Error(msg)
+				}
+
+				await self.refreshNames()
+			},
+		}
+
+		actions['switch_controller'] = {
+			name: 'Switch Controller',
+			description: 'Force the connection over to the primary or backup controller of a redundant pair',
+			options: [
+				{
+					type: 'dropdown',
+					id: 'controller',
+					label: 'Controller',
+					default: 'toggle',
+					choices: [{ id: 'toggle', label: 'The other one' }, ...CONTROLLER_ROLE_CHOICES],
+				},
+			],
+			callback: async function (action) {
+				let target = action.options.controller
+				if (target === 'toggle') {
+					target =
+						self.activeController === ControllerRole.PRIMARY
+							? ControllerRole.BACKUP
+							: ControllerRole.PRIMARY
+				}
+				self.switchController(target, 'switched by action')
+			},
+		}
+
+		actions['reconnect_now'] = {
+			name: 'Reconnect Now',
+			description:
+				'Re-establish the router connection immediately, after a Disconnect or instead of waiting for the next retry',
+			options: [],
+			callback: async function () {
+				self.reconnectNow()
+			},
+		}
+
+		actions['disconnect'] = {
+			name: 'Disconnect',
+			description:
+				'Close the router connection and stay disconnected until Reconnect Now (e.g. for a maintenance window)',
+			options: [],
+			callback: async function () {
+				self.disconnect()
+			},
+		}
+
 		// =========================================================================
 		// Selection Workflow Actions
 		// These support the "select destination, then select source, then take" pattern
@@ -209,10 +408,134 @@ module.exports = {
 			},
 		}
 
+		const historyDestinationOption = {
+			type: 'dropdown',
+			id: 'dst',
+			label: 'Destination',
+			width: 6,
+			default: 'any',
+			choices: [{ id: 'any', label: 'Last changed destination' }, ...self.CHOICES_DESTINATIONS],
+		}
+
+		actions['route_undo'] = {
+			name: 'Undo Last Route',
+			description: 'Put back the sources a destination had before its last route change',
+			options: [historyDestinationOption],
+			callback: async function (action) {
+				const dst = action.options.dst
+				await self.undoRoute(dst === 'any' ? undefined : dst)
+			},
+		}
+
+		actions['route_redo'] = {
+			name: 'Redo Route',
+			description: 'Put back the last route change that was undone',
+			options: [historyDestinationOption],
+			callback: async function (action) {
+				const dst = action.options.dst
+				await self.redoRoute(dst === 'any' ? undefined : dst)
+			},
+		}
+
+		actions['snapshot_capture'] = {
+			name: 'Capture Snapshot',
+			description: 'Save the current crosspoint state under a name, replacing any snapshot with that name',
+			options: [
+				{
+					type: 'textinput',
+					id: 'name',
+					label: 'Snapshot Name',
+					width: 6,
+					default: 'Snapshot 1',
+					useVariables: true,
+				},
+				{
+					type: 'textinput',
+					id: 'destinations',
+					label: 'Destinations (e.g. 1-16,40; blank for all)',
+					width: 6,
+					default: '',
+					useVariables: true,
+				},
+			],
+			callback: async function (action) {
+				const name = await self.parseVariablesInString(action.options.name)
+				const destinations = await self.parseVariablesInString(action.options.destinations)
+				self.saveSnapshot(name, destinations)
+			},
+		}
+
+		const snapshotOption = {
+			type: 'dropdown',
+			id: 'snapshot',
+			label: 'Snapshot',
+			width: 6,
+			default: self.CHOICES_SNAPSHOTS[0].id,
+			choices: self.CHOICES_SNAPSHOTS,
+		}
+
+		actions['snapshot_restore'] = {
+			name: 'Restore Snapshot',
+			description: 'Route every crosspoint of a snapshot back to how it was captured',
+			options: [snapshotOption],
+			callback: async function (action) {
+				await self.restoreSnapshot(action.options.snapshot)
+			},
+		}
+
+		actions['snapshot_delete'] = {
+			name: 'Delete Snapshot',
+			description: 'Remove a snapshot from the config',
+			options: [snapshotOption],
+			callback: async function (action) {
+				self.deleteSnapshot(action.options.snapshot)
+			},
+		}
+
+		actions['select_level'] = {
+			name: 'Select Level for Take',
+			description: 'Select, deselect or toggle a level used by Take with "Use selected levels"',
+			options: [
+				{
+					type: 'dropdown',
+					id: 'level',
+					label: 'Level',
+					width: 6,
+					default: 'V',
+					choices: self.CHOICES_LEVELS,
+				},
+				{
+					type: 'dropdown',
+					id: 'mode',
+					label: 'Mode',
+					width: 6,
+					default: 'toggle',
+					choices: [
+						{ id: 'toggle', label: 'Toggle' },
+						{ id: 'select', label: 'Select' },
+						{ id: 'deselect', label: 'Deselect' },
+						{ id: 'only', label: 'Select only this level' },
+					],
+				},
+			],
+			callback: async function (action) {
+				self.setLevelSelection(action.options.level, action.options.mode)
+
+				self.log('info', `Selected Levels for Take: ${self.getSelectedLevels().join('') || 'none'}`)
+			},
+		}
+
 		actions['take'] = {
 			name: 'Take',
 			description: 'Execute a Take action to route the selected source to the selected destination',
 			options: [
+				{
+					type: 'checkbox',
+					id: 'use_selected_levels',
+					label: 'Use selected levels',
+					width: 6,
+					default: false,
+				},
 				{
 					type: 'textinput',
 					id: 'levels',
@@ -221,14 +544,23 @@ module.exports = {
 					default: parseLevelsConfig(self.config.xpt_levels).join(''),
 					required: true,
 					useVariables: true,
+					isVisibleExpression: '!$(options:use_selected_levels)',
 				},
 			],
 			callback: async function (action) {
 				let options = action.options
-				let levels = await self.parseVariablesInString(options.levels)
+				let levels = options.use_selected_levels
+					? self.getSelectedLevels().join('')
+					: await self.parseVariablesInString(options.levels)
 				let dst = self.getVariableValue('dst')
 				let src = self.getVariableValue('src')
 
+				if (levels === '') {
+					const msg = 'Take failed: no levels selected'
+					self.log('error', msg)
+					throw new Error(msg)
+				}
+
 				if (!dst || !src) {
 					const msg = `Take failed: source or destination not set (src=${src || ''}, dst=${dst || ''}, levels=${levels})`
 					self.log('error', msg)
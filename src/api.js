@@ -13,7 +13,62 @@
  */
 
 const { InstanceStatus, TCPHelper } = require('@companion-module/base')
-const { isDestinationLocked } = require('./constants')
+const net = require('net')
+const {
+	isDestinationLocked,
+	getLockOwner,
+	LockOwner,
+	ConnectionMode,
+	ControllerRole,
+	DEFAULT_NAME_REFRESH_INTERVAL,
+	DEFAULT_FAILOVER_DELAY,
+	DEFAULT_WATCHDOG_MISSED_REPLIES,
+	DEFAULT_RECONNECT_MAX_DELAY,
+} = require('./constants')
+const {
+	buildRouteCommand,
+	buildMultiSetCommand,
+	buildQueueRouteCommand,
+	buildQueueFireCommand,
+	buildQueueClearCommand,
+	buildSalvoCommand,
+	buildLockCommand,
+	buildUnlockCommand,
+	buildLockInterrogateCommand,
+	encodeCommand,
+	isOptionalQuery,
+	toBufferEncoding,
+} = require('./quartz')
+const { CommandStatus, describeCommandResult } = require('./pipeline')
+const { CaptureDirection, TrafficRecorder, readCapture } = require('./capture')
+const { QuartzSimulator, parseNameList } = require('./simulator')
+const { AuditOrigin } = require('./audit')
+const { getSnapshotRoutes } = require('./snapshots')
+const { DEFAULT_BULK_WINDOW } = require('./bulk')
+
+/**
+ * How often to check whether the primary controller is back while on the backup, in milliseconds.
+ * @type {number}
+ */
+const FAILBACK_CHECK_INTERVAL = 30000
+
+/**
+ * How long a failback check waits for the primary to accept a connection, in milliseconds.
+ * @type {number}
+ */
+const FAILBACK_PROBE_TIMEOUT = 3000
+
+/**
+ * How often the link watchdog checks the connection, in milliseconds.
+ * @type {number}
+ */
+const WATCHDOG_CHECK_INTERVAL = 1000
+
+/**
+ * Delay before the first reconnect attempt, doubled on each further attempt, in milliseconds.
+ * @type {number}
+ */
+const RECONNECT_BASE_DELAY = 1000
 
 /**
  * Connection management methods
@@ -32,13 +87,16 @@ module.exports = {
 	 * to connect to the configured host and port. Cleans up any existing
 	 * connection before establishing a new one.
 	 *
+	 * In replay mode, plays the configured capture file instead of opening
+	 * a socket. Otherwise starts recording traffic when that is enabled.
+	 *
 	 * @async
 	 * @returns {Promise<void>}
 	 *
 	 * @fires socket#connect
 	 * @fires socket#data
 	 * @fires socket#error
-	 * @fires socket#close
+	 * @fires socket#end
 	 */
 	async initConnection() {
 		const self = this
@@ -46,8 +104,16 @@ module.exports = {
 		// Clean up existing connection and intervals
 		self._cleanupConnection()
 
+		if (self.config.connection_mode === ConnectionMode.REPLAY) {
+			await self._startReplay()
+			return
+		}
+
+		const simulated = self.config.connection_mode === ConnectionMode.SIMULATOR
+		const { host, port } = self._getControllerAddress()
+
 		// Validate configuration
-		if (!self.config.host || self.config.host === '') {
+		if (!simulated && (!host || host === '')) {
 			self.log('warn', 'No host configured')
 			self.updateStatus(InstanceStatus.BadConfig)
 			return
@@ -55,70 +121,657 @@ module.exports = {
 
 		self.updateStatus(InstanceStatus.Connecting)
 
-		// Create new TCP socket
-		self.socket = new TCPHelper(self.config.host, self.config.port)
+		// One capture file covers the whole session; each attempt is an event in it
+		self.recorder?.recordEvent('connecting', simulated ? 'simulator' : `${host}:${port}`)
+
+		// Create new TCP socket, or the simulated router in its place. Reconnection
+		// is handled here (see _scheduleReconnect()), not by TCPHelper
+		self.socket = simulated ? self._createSimulator() : new TCPHelper(host, port, { reconnect: false })
 
 		// Handle connection errors
 		self.socket.on('error', (error) => {
 			self._handleConnectionError(error)
 		})
 
-		// Handle successful connection
-		self.socket.on('connect', () => {
-			self._handleConnectionOpen()
-		})
+		// Handle successful connection
+		self.socket.on('connect', () => {
+			self._handleConnectionOpen()
+		})
+
+		// Handle incoming data - pass raw data to handler
+		self.socket.on('data', (data) => {
+			self._handleData(data)
+		})
+
+		// Handle connection close - TCPHelper reports it as 'end' (it emits no 'close')
+		self.socket.on('end', () => {
+			self._handleConnectionClose()
+		})
+
+		self._updateActiveControllerState()
+	},
+
+	/**
+	 * Address of a controller of the redundant pair
+	 *
+	 * The backup uses the primary's port unless it has its own.
+	 *
+	 * @param {string} [role=self.activeController] - One of ControllerRole
+	 * @returns {{ host: string, port: string }} Controller address
+	 */
+	_getControllerAddress(role = this.activeController) {
+		const self = this
+
+		if (role === ControllerRole.BACKUP) {
+			return { host: self.config.backup_host, port: self.config.backup_port || self.config.port }
+		}
+		return { host: self.config.host, port: self.config.port }
+	},
+
+	/**
+	 * Whether automatic failover is possible (TCP mode with a backup address)
+	 *
+	 * @returns {boolean}
+	 */
+	hasBackupController() {
+		const self = this
+		const tcp = (self.config.connection_mode ?? ConnectionMode.TCP) === ConnectionMode.TCP
+		return tcp && !!self.config.backup_host
+	},
+
+	/**
+	 * Switches the connection to the other (or a given) controller of the pair
+	 *
+	 * Reconnects straight away; once connected, the usual full refresh runs
+	 * against the new controller.
+	 *
+	 * @param {string} role - One of ControllerRole
+	 * @param {string} reason - Why, for the log
+	 * @returns {void}
+	 */
+	switchController(role, reason) {
+		const self = this
+
+		if (!self.hasBackupController()) {
+			const msg = 'Cannot switch controller: no backup controller configured'
+			self.log('error', msg)
+			throw new Error(msg)
+		}
+
+		const { host, port } = self._getControllerAddress(role)
+		self.log('warn', `Switching to ${role} controller ${host}:${port}: ${reason}`)
+		self._audit({ event: 'connection', detail: `Switching to ${role} controller ${host}:${port}: ${reason}` })
+
+		self._cancelFailover()
+		self.activeController = role
+		self.reconnectAttempt = 0
+		self.manuallyDisconnected = false
+		self.initConnection()
+	},
+
+	/**
+	 * Stops a running failover countdown
+	 *
+	 * @returns {void}
+	 */
+	_cancelFailover() {
+		const self = this
+
+		if (self.FAILOVER_TIMEOUT) {
+			clearTimeout(self.FAILOVER_TIMEOUT)
+			self.FAILOVER_TIMEOUT = null
+		}
+	},
+
+	/**
+	 * Schedules the next attempt to re-establish a lost connection
+	 *
+	 * The module owns reconnection (TCPHelper's own is turned off), so the
+	 * delay can back off: 1s, 2s, 4s... up to reconnect_max_delay seconds.
+	 * The status shows the attempt number and when it will be made. Does
+	 * nothing after a deliberate disconnect, or when an attempt is already
+	 * scheduled.
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	_scheduleReconnect() {
+		const self = this
+
+		if (self.manuallyDisconnected || self.RECONNECT_INTERVAL) {
+			return
+		}
+
+		self.reconnectAttempt++
+
+		const ceiling = Number(self.config.reconnect_max_delay || DEFAULT_RECONNECT_MAX_DELAY) * 1000
+		const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** (self.reconnectAttempt - 1), ceiling)
+		const retryAt = new Date(Date.now() + delay)
+
+		self.updateStatus(
+			InstanceStatus.ConnectionFailure,
+			`Reconnect attempt ${self.reconnectAttempt} at ${retryAt.toTimeString().slice(0, 8)}`,
+		)
+
+		self.RECONNECT_INTERVAL = setTimeout(() => {
+			self.RECONNECT_INTERVAL = null
+			self.initConnection()
+		}, delay)
+	},
+
+	/**
+	 * Re-establishes the connection straight away, e.g. after a deliberate
+	 * disconnect or to skip a long backoff
+	 *
+	 * @returns {void}
+	 */
+	reconnectNow() {
+		const self = this
+
+		self.log('info', 'Reconnecting')
+		self._audit({ event: 'connection', origin: AuditOrigin.LOCAL, detail: 'Reconnect requested' })
+		self.manuallyDisconnected = false
+		self.reconnectAttempt = 0
+		self.initConnection()
+	},
+
+	/**
+	 * Closes the connection and stays disconnected until "Reconnect Now" or a
+	 * config change, releasing the control session (e.g. for maintenance)
+	 *
+	 * @returns {void}
+	 */
+	disconnect() {
+		const self = this
+
+		self.log('info', 'Disconnecting from router')
+		self._audit({ event: 'connection', origin: AuditOrigin.LOCAL, detail: 'Disconnected by action' })
+		self.recorder?.recordEvent('disconnect')
+		self.manuallyDisconnected = true
+		self._cancelFailover()
+		self._cleanupConnection()
+		self.updateStatus(InstanceStatus.Disconnected, 'Disconnected by action')
+	},
+
+	/**
+	 * Starts the failover countdown after the active controller is lost
+	 *
+	 * If the connection isn't back within failover_delay seconds, the module
+	 * switches to the other controller. Does nothing without a backup, or
+	 * when a countdown is already running.
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	_scheduleFailover() {
+		const self = this
+
+		if (!self.hasBackupController() || self.FAILOVER_TIMEOUT) {
+			return
+		}
+
+		const delay = Number(self.config.failover_delay ?? DEFAULT_FAILOVER_DELAY)
+
+		self.FAILOVER_TIMEOUT = setTimeout(() => {
+			self.FAILOVER_TIMEOUT = null
+			const other =
+				self.activeController === ControllerRole.PRIMARY ? ControllerRole.BACKUP : ControllerRole.PRIMARY
+			self.switchController(other, `no connection to the ${self.activeController} controller for ${delay}s`)
+		}, delay * 1000)
+	},
+
+	/**
+	 * Fails over straight away when the active controller stops answering
+	 * while its socket stays up
+	 *
+	 * @returns {void}
+	 */
+	_handleUnresponsiveController() {
+		const self = this
+
+		if (!self.hasBackupController()) {
+			return
+		}
+
+		const other = self.activeController === ControllerRole.PRIMARY ? ControllerRole.BACKUP : ControllerRole.PRIMARY
+		self.switchController(other, `the ${self.activeController} controller stopped answering`)
+	},
+
+	/**
+	 * While on the backup, checks now and then whether the primary accepts
+	 * connections again, and moves back to it if so (when failback is on)
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	_startFailbackCheck() {
+		const self = this
+
+		if (!self.config.failback || self.activeController !== ControllerRole.BACKUP || !self.hasBackupController()) {
+			return
+		}
+
+		self.FAILBACK_INTERVAL = setInterval(async () => {
+			const { host, port } = self._getControllerAddress(ControllerRole.PRIMARY)
+			if (await self._isReachable(host, port)) {
+				self.switchController(ControllerRole.PRIMARY, 'primary controller is back')
+			}
+		}, FAILBACK_CHECK_INTERVAL)
+	},
+
+	/**
+	 * Checks whether a controller accepts TCP connections, without talking to it
+	 *
+	 * @private
+	 * @param {string} host - Controller address
+	 * @param {string|number} port - Controller port
+	 * @returns {Promise<boolean>}
+	 */
+	_isReachable(host, port) {
+		return new Promise((resolve) => {
+			const probe = net.createConnection({ host, port: Number(port) })
+			const finish = (reachable) => {
+				probe.destroy()
+				resolve(reachable)
+			}
+
+			probe.setTimeout(FAILBACK_PROBE_TIMEOUT, () => finish(false))
+			probe.once('connect', () => finish(true))
+			probe.once('error', () => finish(false))
+		})
+	},
+
+	/**
+	 * Starts the link watchdog for a new session
+	 *
+	 * TCP only reports errors and closes, so a controller that stops
+	 * answering while the socket stays open would otherwise go unnoticed.
+	 * Every second, the watchdog publishes how long the link has been quiet
+	 * and how many replies in a row have gone missing; once that reaches
+	 * watchdog_missed_replies, the link is treated as dead. Commands a
+	 * working controller may leave unanswered (.BI, .RL, the .L probe) don't
+	 * count, so a controller without them isn't dropped on every connect.
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	_startWatchdog() {
+		const self = this
+
+		self.lastMessageTime = Date.now()
+		self.missedReplies = 0
+		self._updateLinkState()
+
+		self.WATCHDOG_INTERVAL = setInterval(() => {
+			self._updateLinkState()
+
+			const limit = Number(self.config.watchdog_missed_replies ?? DEFAULT_WATCHDOG_MISSED_REPLIES)
+			if (limit > 0 && self.missedReplies >= limit) {
+				self._handleLinkDead()
+			}
+		}, WATCHDOG_CHECK_INTERVAL)
+	},
+
+	/**
+	 * Records that a message arrived from the router
+	 *
+	 * @returns {void}
+	 */
+	_noteLinkActivity() {
+		const self = this
+
+		self.lastMessageTime = Date.now()
+		if (self.missedReplies > 0) {
+			self.missedReplies = 0
+			self._updateLinkState()
+		}
+	},
+
+	/**
+	 * Counts a command whose reply never arrived, unless it was optional
+	 *
+	 * @param {PendingCommand} pending - Command that timed out
+	 * @returns {void}
+	 */
+	_handleMissedReply(pending) {
+		const self = this
+
+		if (pending.optional || isOptionalQuery(pending.command)) {
+			return
+		}
+
+		self.missedReplies++
+		self._updateLinkState()
+	},
+
+	/**
+	 * Gives up on a connection whose controller stopped answering
+	 *
+	 * Marks the instance as failed and reconnects - to the other controller
+	 * when a backup is configured, otherwise to the same one.
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	_handleLinkDead() {
+		const self = this
+		const quietSeconds = Math.round((Date.now() - self.lastMessageTime) / 1000)
+
+		self.log(
+			'warn',
+			`Router stopped answering: ${self.missedReplies} replies missed, nothing heard for ${quietSeconds}s`,
+		)
+		self.recorder?.recordEvent('watchdog', `${self.missedReplies} replies missed`)
+		self._audit({ event: 'connection', detail: `Router stopped answering: ${self.missedReplies} replies missed` })
+		self.updateStatus(InstanceStatus.ConnectionFailure, 'Router stopped answering')
+
+		if (self.hasBackupController()) {
+			self._handleUnresponsiveController()
+		} else {
+			self.initConnection()
+		}
+	},
+
+	/**
+	 * Publishes the link watchdog variables
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	_updateLinkState() {
+		const self = this
+
+		self.setVariableValues({
+			link_idle_seconds:
+				self.lastMessageTime === null ? '' : Math.floor((Date.now() - self.lastMessageTime) / 1000),
+			link_missed_replies: self.missedReplies,
+		})
+	},
+
+	/**
+	 * Publishes which controller is active and re-checks its feedback
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	_updateActiveControllerState() {
+		const self = this
+		const { host, port } = self._getControllerAddress()
+
+		self.setVariableValues({
+			active_controller: self.activeController,
+			active_controller_address:
+				self.config.connection_mode === ConnectionMode.TCP || !self.config.connection_mode
+					? `${host}:${port}`
+					: '',
+		})
+		self.checkFeedbacks('active_controller')
+	},
+
+	/**
+	 * Creates the in-process simulated router from the sim_* config fields
+	 *
+	 * @private
+	 * @returns {QuartzSimulator} Simulated router, used in place of the TCP socket
+	 */
+	_createSimulator() {
+		const self = this
+
+		self.log('info', 'Starting simulated router')
+
+		return new QuartzSimulator({
+			sources: Number(self.config.sim_sources) || 16,
+			destinations: Number(self.config.sim_destinations) || 16,
+			levels: self.config.sim_levels || 'VABCDEFG',
+			sourceNames: parseNameList(self.config.sim_source_names),
+			destinationNames: parseNameList(self.config.sim_destination_names),
+			lockMode: self.config.sim_lock_mode,
+			listRoutes: self.config.sim_list_routes ?? true,
+			randomInterval: Number(self.config.sim_random_interval) || 0,
+			encoding: self.config.encoding,
+		})
+	},
+
+	/**
+	 * Cleans up the existing connection and related resources
+	 *
+	 * Clears polling intervals and destroys the socket if it exists.
+	 * Called before establishing a new connection or during shutdown.
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	_cleanupConnection() {
+		const self = this
+
+		// Clear polling interval
+		if (self.INTERVAL) {
+			clearInterval(self.INTERVAL)
+			self.INTERVAL = null
+		}
+
+		// Clear name refresh interval
+		if (self.NAME_INTERVAL) {
+			clearInterval(self.NAME_INTERVAL)
+			self.NAME_INTERVAL = null
+		}
+
+		// Clear failback checks. A failover countdown keeps running: it spans
+		// reconnect attempts to the same controller (see _cancelFailover())
+		if (self.FAILBACK_INTERVAL) {
+			clearInterval(self.FAILBACK_INTERVAL)
+			self.FAILBACK_INTERVAL = null
+		}
+
+		// Clear link watchdog
+		if (self.WATCHDOG_INTERVAL) {
+			clearInterval(self.WATCHDOG_INTERVAL)
+			self.WATCHDOG_INTERVAL = null
+		}
+
+		// Clear pending reconnect attempt
+		if (self.RECONNECT_INTERVAL) {
+			clearTimeout(self.RECONNECT_INTERVAL)
+			self.RECONNECT_INTERVAL = null
+		}
+
+		// Stop any replay in progress
+		self._replayId = (self._replayId || 0) + 1
+		if (self.REPLAY_TIMEOUT) {
+			clearTimeout(self.REPLAY_TIMEOUT)
+			self.REPLAY_TIMEOUT = null
+		}
+
+		// Destroy existing socket
+		if (self.socket) {
+			self.socket.destroy()
+			self.socket = null
+		}
+
+		// Reset parser state if it exists
+		if (self.parser) {
+			self.parser.reset()
+		}
+
+		// Nothing still outstanding will be answered on a new connection
+		self.bulk?.cancel()
+		if (self.pipeline) {
+			self.pipeline.clear()
+		}
+	},
+
+	/**
+	 * Starts recording traffic to a new capture file in the configured directory
+	 *
+	 * Called once per config (see configUpdated()), not per connection
+	 * attempt, so reconnects and failovers are events in the same file
+	 * instead of a new file each. A capture that can't be written is logged
+	 * and abandoned; the connection itself carries on.
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	_startRecording() {
+		const self = this
+
+		if (!self.config.capture_dir) {
+			self.log('warn', 'Traffic recording is enabled but no capture directory is configured')
+			return
+		}
+
+		try {
+			const { host, port } = self._getControllerAddress()
+			const recorder = new TrafficRecorder(self.config.capture_dir, {
+				host,
+				port,
+				encoding: self.config.encoding,
+			})
+
+			recorder.on('error', (error) => {
+				self.log('error', `Traffic recording stopped: ${error.message}`)
+				if (self.recorder === recorder) {
+					self._stopRecording()
+				}
+			})
+
+			self.recorder = recorder
+			self.log('info', `Recording traffic to ${recorder.filePath}`)
+		} catch (error) {
+			self.log('error', `Cannot record traffic: ${error.message}`)
+		}
+	},
+
+	/**
+	 * Closes the current capture file, if any
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	_stopRecording() {
+		const self = this
+
+		if (self.recorder) {
+			self.recorder.close()
+			self.recorder = null
+		}
+	},
+
+	/**
+	 * Plays the configured capture file through the protocol parser
+	 *
+	 * Received traffic is fed to the parser exactly as it arrived, so names,
+	 * crosspoints and locks are rebuilt as they were on site. Sent traffic
+	 * is registered with the command pipeline, so replies are attributed to
+	 * the same commands as they were live. Nothing is sent anywhere.
+	 *
+	 * With 'Replay in Real Time' the original timing is kept; otherwise the
+	 * whole file is played at once.
+	 *
+	 * @private
+	 * @async
+	 * @returns {Promise<void>}
+	 */
+	async _startReplay() {
+		const self = this
+		const replayId = self._replayId
+		const filePath = self.config.replay_file
+
+		if (!filePath) {
+			self.log('warn', 'No capture file configured for replay')
+			self.updateStatus(InstanceStatus.BadConfig, 'No capture file')
+			return
+		}
+
+		self.updateStatus(InstanceStatus.Connecting, 'Loading capture')
+
+		let capture
+		try {
+			capture = await readCapture(filePath)
+		} catch (error) {
+			self.log('error', `Cannot read capture file: ${error.message}`)
+			self.updateStatus(InstanceStatus.BadConfig, 'Cannot read capture file')
+			return
+		}
+
+		// Config changed or instance destroyed while the file was loading
+		if (self._replayId !== replayId) {
+			return
+		}
+
+		const { header, entries } = capture
+		const origin = header ? ` (recorded ${header.time} from ${header.host}:${header.port})` : ''
+		self.log('info', `Replaying ${entries.length} capture entries from ${filePath}${origin}`)
+		self.updateStatus(InstanceStatus.Ok, 'Replaying capture')
+
+		const finish = () => {
+			self.REPLAY_TIMEOUT = null
+			self.log('info', 'Replay finished')
+			self.updateStatus(InstanceStatus.Ok, 'Replay finished')
+		}
+
+		if (!self.config.replay_realtime) {
+			for (const entry of entries) {
+				self._replayEntry(entry)
+			}
+			finish()
+			return
+		}
+
+		const playFrom = (index) => {
+			if (self._replayId !== replayId) {
+				return
+			}
+			if (index >= entries.length) {
+				finish()
+				return
+			}
 
-		// Handle incoming data - pass raw data to handler
-		self.socket.on('data', (data) => {
-			self._handleData(data)
-		})
+			self._replayEntry(entries[index])
 
-		// Handle connection close
-		self.socket.on('close', () => {
-			self._handleConnectionClose()
-		})
+			const next = entries[index + 1]
+			const delay = next ? Math.max(0, next.t - entries[index].t) : 0
+			self.REPLAY_TIMEOUT = setTimeout(() => playFrom(index + 1), delay)
+		}
+
+		playFrom(0)
 	},
 
 	/**
-	 * Cleans up the existing connection and related resources
-	 *
-	 * Clears polling intervals and destroys the socket if it exists.
-	 * Called before establishing a new connection or during shutdown.
+	 * Plays a single capture entry
 	 *
 	 * @private
+	 * @param {CaptureEntry} entry - Capture entry
 	 * @returns {void}
 	 */
-	_cleanupConnection() {
+	_replayEntry(entry) {
 		const self = this
 
-		// Clear polling interval
-		if (self.INTERVAL) {
-			clearInterval(self.INTERVAL)
-			self.INTERVAL = null
-		}
-
-		// Clear reconnect interval
-		if (self.RECONNECT_INTERVAL) {
-			clearInterval(self.RECONNECT_INTERVAL)
-			self.RECONNECT_INTERVAL = null
+		if (entry.dir === CaptureDirection.RX) {
+			self._handleData(entry.data)
+			return
 		}
 
-		// Destroy existing socket
-		if (self.socket) {
-			self.socket.destroy()
-			self.socket = null
+		if (entry.dir === CaptureDirection.TX) {
+			const sent = entry.data.toString(toBufferEncoding(self.config.encoding))
+			if (self.config.verbose) {
+				self.log('debug', `Replay sent: ${sent.replace(/\r/g, '\\r')}`)
+			}
+			for (const line of sent.split('\r').filter((line) => line.length > 0)) {
+				self.pipeline.add(line)
+			}
+			return
 		}
 
-		// Reset parser state if it exists
-		if (self.parser) {
-			self.parser.reset()
+		if (entry.event && self.config.verbose) {
+			self.log('debug', `Replay: connection ${entry.event}${entry.detail ? ` (${entry.detail})` : ''}`)
 		}
 	},
 
 	/**
 	 * Handles socket connection errors
 	 *
-	 * Logs the error and updates the instance status.
+	 * Logs the error and schedules the next reconnect attempt (and failover,
+	 * when a backup controller is configured).
 	 *
 	 * @private
 	 * @param {Error} error - The error that occurred
@@ -127,16 +780,21 @@ module.exports = {
 	_handleConnectionError(error) {
 		const self = this
 
-		// TCPHelper retries internally and re-fires 'error' on every attempt,
-		// so only log a given error once to avoid spamming the log — but log
+		// Every reconnect attempt that fails re-fires 'error', so only log a
+		// given error once to avoid spamming the log — but log
 		// again if the failure reason changes, so a new problem isn't hidden
 		// behind an earlier one.
+		self.recorder?.recordEvent('error', error.message)
+
 		if (self._lastConnectionErrorMessage !== error.message) {
 			self.log('error', `Connection error: ${error.message}`)
+			self._audit({ event: 'connection', detail: `Connection error: ${error.message}` })
 			self._lastConnectionErrorMessage = error.message
 		}
 
-		self.updateStatus(InstanceStatus.ConnectionFailure)
+		// Status (attempt number, next retry) is set by _scheduleReconnect()
+		self._scheduleFailover()
+		self._scheduleReconnect()
 	},
 
 	/**
@@ -151,10 +809,23 @@ module.exports = {
 	_handleConnectionOpen() {
 		const self = this
 
-		self.log('info', `Connected to ${self.config.host}:${self.config.port}`)
+		let peer = 'simulated router'
+		if (self.config.connection_mode !== ConnectionMode.SIMULATOR) {
+			const { host, port } = self._getControllerAddress()
+			peer = `${self.activeController} controller ${host}:${port}`
+		}
+		self.log('info', `Connected to ${peer}`)
+		self.recorder?.recordEvent('connect')
+		self._audit({ event: 'connection', detail: `Connected to ${peer}` })
 		self.updateStatus(InstanceStatus.Ok)
 		self._lastConnectionErrorMessage = null
 
+		// Back in time: no need to fail over, or to keep backing off
+		self._cancelFailover()
+		self.reconnectAttempt = 0
+		self._startFailbackCheck()
+		self._startWatchdog()
+
 		// Trigger initial data retrieval
 		self.onConnected()
 
@@ -163,6 +834,14 @@ module.exports = {
 		self.INTERVAL = setInterval(() => {
 			self.poll()
 		}, intervalMs)
+
+		// Names rarely change, so they refresh on their own (slower) interval - or only on request
+		const nameIntervalMinutes = Number(self.config.name_refresh_interval ?? DEFAULT_NAME_REFRESH_INTERVAL)
+		if (nameIntervalMinutes > 0) {
+			self.NAME_INTERVAL = setInterval(() => {
+				self.refreshNames()
+			}, nameIntervalMinutes * 60000)
+		}
 	},
 
 	/**
@@ -178,8 +857,10 @@ module.exports = {
 	_handleData(data) {
 		const self = this
 
+		self.recorder?.record(CaptureDirection.RX, data)
+
 		if (self.config.verbose) {
-			self.log('debug', `Received raw data: ${data.toString('utf-8')}`)
+			self.log('debug', `Received raw data: ${data.toString(toBufferEncoding(self.config.encoding))}`)
 		}
 
 		// Pass data to protocol parser (handled in index.js)
@@ -191,7 +872,8 @@ module.exports = {
 	/**
 	 * Handles socket connection close
 	 *
-	 * Updates status and could trigger reconnection logic.
+	 * Schedules the next reconnect attempt (and failover, when a backup
+	 * controller is configured) and drops commands awaiting replies.
 	 *
 	 * @private
 	 * @returns {void}
@@ -199,7 +881,16 @@ module.exports = {
 	_handleConnectionClose() {
 		const self = this
 		self.log('warn', 'Connection closed')
-		self.updateStatus(InstanceStatus.ConnectionFailure)
+		self.recorder?.recordEvent('close')
+		self._audit({ event: 'connection', detail: 'Connection closed' })
+		self._scheduleFailover()
+		self._scheduleReconnect()
+
+		// Commands still waiting for a reply won't get one
+		self.bulk?.cancel()
+		if (self.pipeline) {
+			self.pipeline.clear()
+		}
 	},
 
 	/**
@@ -208,6 +899,10 @@ module.exports = {
 	 * Automatically appends carriage return if not present.
 	 * Logs the command if verbose logging is enabled.
 	 *
+	 * The string may hold several '\r'-separated commands. Each is tracked by
+	 * the command pipeline, so its reply is attributed to it, but nothing waits
+	 * on the outcome — use sendCommandAwaitReply() for that.
+	 *
 	 * @async
 	 * @param {string} cmd - Command string to send
 	 * @returns {Promise<boolean>} True if command was sent, false otherwise
@@ -217,13 +912,58 @@ module.exports = {
 	 * await self.sendCommand('.SV1,5') // Route source 5 to destination 1 on video level
 	 */
 	async sendCommand(cmd) {
+		const self = this
+		return self._writeCommands(cmd) !== null
+	},
+
+	/**
+	 * Sends a single command and waits for the router's reply to it
+	 *
+	 * Never rejects: the outcome (.A, .E, timeout or not sent) is reported
+	 * in the result. An .E answering an awaited command is left to the caller
+	 * to report, rather than logged as an unexplained router error.
+	 *
+	 * @async
+	 * @param {string} cmd - Single command to send
+	 * @param {Object} [options]
+	 * @param {number} [options.timeout] - Reply timeout in milliseconds, counted once
+	 *   every command sent ahead of this one has been answered
+	 * @param {boolean} [options.optional=false] - Whether the controller may leave it unanswered
+	 *   (e.g. a support probe), so a missing reply doesn't count toward the link watchdog
+	 * @returns {Promise<CommandResult>} Outcome of the command
+	 *
+	 * @example
+	 * const result = await self.sendCommandAwaitReply('.SV1,5')
+	 * if (result.status === CommandStatus.ERROR) { ... }
+	 */
+	async sendCommandAwaitReply(cmd, { timeout, optional = false } = {}) {
+		const self = this
+		const results = self._writeCommands(cmd, { awaited: true, timeout, optional })
+
+		if (results === null) {
+			return { command: String(cmd).replace(/\r/g, ''), status: CommandStatus.NOT_SENT }
+		}
+
+		return results[0]
+	},
+
+	/**
+	 * Writes one or more '\r'-separated commands to the socket and registers
+	 * each with the command pipeline.
+	 *
+	 * @private
+	 * @param {string} cmd - Command string to send
+	 * @param {Object} [pipelineOptions] - Options passed to CommandPipeline#add()
+	 * @returns {Promise<CommandResult>[]|null} One outcome per command, or null when not connected
+	 */
+	_writeCommands(cmd, pipelineOptions = {}) {
 		const self = this
 		const cmdForLog = String(cmd).replace(/\r/g, '')
 
 		// Validate socket state
 		if (!self.socket || !self.socket.isConnected) {
 			self.log('warn', `Cannot send command: not connected (${cmdForLog})`)
-			return false
+			return null
 		}
 
 		// Ensure command ends with carriage return
@@ -237,20 +977,58 @@ module.exports = {
 			self.log('debug', `Sending command: ${command.replace(/\r/g, '\\r')}`)
 		}
 
+		// Track replies before sending, so even an immediate reply finds its command
+		const results = command
+			.split('\r')
+			.filter((line) => line.length > 0)
+			.map((line) => self.pipeline.add(line, pipelineOptions))
+
 		// Send command
-		const sendBuffer = Buffer.from(command, 'latin1')
+		const sendBuffer = encodeCommand(command, self.config.encoding)
 		self.socket.send(sendBuffer)
+		self.recorder?.record(CaptureDirection.TX, sendBuffer)
 
 		// Store for debugging
 		self.lastCommand = command
 
-		return true
+		return results
+	},
+
+	/**
+	 * Sends a command on behalf of an action and waits for the router to accept it.
+	 *
+	 * Logs and throws when the command isn't sent, is rejected with .E, or gets
+	 * no reply, so Companion surfaces the failure on the button that caused it.
+	 *
+	 * @private
+	 * @async
+	 * @param {string} command - Single command to send
+	 * @param {string} failureDesc - Failure description, e.g. 'Route failed: source 1 -> destination 2'
+	 * @returns {Promise<CommandResult>} The successful result
+	 */
+	async _sendCheckedCommand(command, failureDesc) {
+		const self = this
+		const result = await self.sendCommandAwaitReply(command)
+
+		if (result.status !== CommandStatus.OK) {
+			const msg = `${failureDesc}: ${describeCommandResult(result)}`
+			self.log('error', msg)
+			throw new Error(msg)
+		}
+
+		return result
 	},
 
 	/**
 	 * Sends a route (set crosspoint) command with required success/failure logging.
 	 *
-	 * Throws when the command cannot be sent so Companion surfaces the failure.
+	 * Throws when the command cannot be sent or the router rejects it, so
+	 * Companion surfaces the failure.
+	 *
+	 * With 'Verify Routes' enabled, also waits for the router to report the
+	 * new crosspoint on every level (.U, or an .A from polling) and throws if
+	 * it doesn't within the verify timeout, or lands with a different source —
+	 * e.g. because a panel holds a lock on the destination.
 	 *
 	 * @async
 	 * @param {string} levels - Level string (e.g. 'V', 'VABC')
@@ -260,17 +1038,354 @@ module.exports = {
 	 */
 	async sendRouteCommand(levels, destination, source) {
 		const self = this
-		const command = `.S${levels}${destination},${source}`
 		const routeDesc = `source ${source} -> destination ${destination} (levels ${levels})`
 
-		const sent = await self.sendCommand(command)
-		if (!sent) {
-			const msg = `Route failed: ${routeDesc}`
+		self._noteLocalRoutes([{ levels, destination, source }])
+
+		if (!self.config.verify_routes) {
+			await self._sendCheckedCommand(buildRouteCommand(levels, destination, source), `Route failed: ${routeDesc}`)
+			self.log('info', `Route acknowledged: ${routeDesc}`)
+			return
+		}
+
+		const timeout = self.config.route_verify_timeout || 2000
+		const verification = self._watchRoute(levels, destination, source, timeout)
+
+		try {
+			await self._sendCheckedCommand(buildRouteCommand(levels, destination, source), `Route failed: ${routeDesc}`)
+		} catch (error) {
+			self._finishPendingRoute(parseInt(destination, 10), { confirmed: false, reason: error.message })
+			throw error
+		}
+
+		const { confirmed, reason } = await verification
+		if (!confirmed) {
+			const msg = `Route not verified: ${routeDesc}: ${reason}`
+			self.log('error', msg)
+			throw new Error(msg)
+		}
+
+		self.log('info', `Route verified: ${routeDesc}`)
+	},
+
+	/**
+	 * Undoes the last route change with required success/failure logging
+	 *
+	 * Restores the sources the destination's levels had before the change,
+	 * through sendRouteCommand(). Throws when there is nothing to undo or the
+	 * route fails.
+	 *
+	 * @async
+	 * @param {number|string} [destination] - Destination ID; omit for the latest change to any destination
+	 * @returns {Promise<void>}
+	 */
+	async undoRoute(destination) {
+		await this._applyHistoryEntry(destination, true)
+	},
+
+	/**
+	 * Redoes the last undone route change with required success/failure logging
+	 *
+	 * @async
+	 * @param {number|string} [destination] - Destination ID; omit for the latest undo on any destination
+	 * @returns {Promise<void>}
+	 */
+	async redoRoute(destination) {
+		await this._applyHistoryEntry(destination, false)
+	},
+
+	/**
+	 * Routes a history entry's levels back to their earlier (undo) or later
+	 * (redo) sources, one route per source
+	 *
+	 * @private
+	 * @async
+	 * @param {number|string} [destination] - Destination ID; omit for the latest entry of any destination
+	 * @param {boolean} undo - True to undo, false to redo
+	 * @returns {Promise<void>}
+	 */
+	async _applyHistoryEntry(destination, undo) {
+		const self = this
+		const label = undo ? 'Undo' : 'Redo'
+		const destNum = destination === undefined ? undefined : parseInt(destination, 10)
+		const entry = undo ? self.history.peekUndo(destNum) : self.history.peekRedo(destNum)
+
+		if (!entry) {
+			const msg = `${label} failed: nothing to ${label.toLowerCase()}${destNum === undefined ? '' : ` on destination ${destNum}`}`
+			self.log('error', msg)
+			throw new Error(msg)
+		}
+
+		// Levels that go back to the same source share one route
+		const routes = new Map()
+		for (const { level, from, to } of entry.changes) {
+			const source = undo ? from : to
+			routes.set(source, (routes.get(source) ?? '') + level)
+		}
+
+		self.log('info', `${label}: ${self._describeHistoryEntry(entry, undo)}`)
+		self.history.expect(entry, undo)
+
+		try {
+			for (const [source, levels] of routes) {
+				await self.sendRouteCommand(levels, entry.destination, source)
+			}
+		} catch (error) {
+			self.history.cancelExpect(entry)
+			throw error
+		}
+
+		if (undo) {
+			self.history.markUndone(entry)
+		} else {
+			self.history.markRedone(entry)
+		}
+		self._updateHistoryState()
+	},
+
+	/**
+	 * Sends several routes as multi-set (.M) transactions with required
+	 * success/failure logging.
+	 *
+	 * Routes are packed into as few .M messages as buildMultiSetCommand()
+	 * allows, so they land together instead of one .S at a time. Sent with
+	 * _sendRouteBatch(), so a router that rejects .M gets .S routes instead.
+	 * Throws when any route cannot be sent or the router rejects it.
+	 *
+	 * @async
+	 * @param {{ levels: string, destination: number|string, source: number|string }[]} routes - Routes to set
+	 * @returns {Promise<void>}
+	 */
+	async sendMultiRouteCommand(routes) {
+		const self = this
+
+		const how = await self._sendRouteBatch(routes, `Multi-route failed: ${routes.length} route(s)`)
+
+		self.log('info', `Multi-route acknowledged: ${routes.length} route(s) ${how}`)
+	},
+
+	/**
+	 * Re-applies a stored snapshot with required success/failure logging.
+	 *
+	 * Sends the snapshot's routes as one batch with _sendRouteBatch().
+	 * Throws when there is no such snapshot or any route fails.
+	 *
+	 * @async
+	 * @param {string} name - Snapshot name
+	 * @returns {Promise<void>}
+	 */
+	async restoreSnapshot(name) {
+		const self = this
+		const snapshot = self.getSnapshot(name)
+
+		if (!snapshot) {
+			const msg = `Snapshot restore failed: no snapshot named "${name}"`
+			self.log('error', msg)
+			throw new Error(msg)
+		}
+
+		const routes = getSnapshotRoutes(snapshot)
+		const how = await self._sendRouteBatch(routes, `Snapshot restore failed: "${name}"`)
+
+		self.log('info', `Snapshot "${name}" restored: ${routes.length} route(s) ${how}`)
+	},
+
+	/**
+	 * Fires a salvo defined in the module config with required success/failure logging.
+	 *
+	 * Unlike sendSalvoCommand(), the router doesn't need to know the salvo:
+	 * its routes are sent as one batch with _sendRouteBatch().
+	 * Throws when there is no such salvo or any route fails.
+	 *
+	 * @async
+	 * @param {string} name - Module salvo name
+	 * @returns {Promise<void>}
+	 */
+	async fireModuleSalvo(name) {
+		const self = this
+		const salvo = self.getModuleSalvo(name)
+
+		if (!salvo) {
+			const msg = `Fire module salvo failed: no module salvo named "${name}"`
+			self.log('error', msg)
+			throw new Error(msg)
+		}
+
+		const how = await self._sendRouteBatch(salvo.routes, `Fire module salvo failed: "${name}"`)
+
+		self.log('info', `Module salvo fired: "${name}", ${salvo.routes.length} route(s) ${how}`)
+		self._audit({ event: 'salvo', origin: AuditOrigin.LOCAL, detail: `Module salvo ${name}` })
+	},
+
+	/**
+	 * Sends a batch of routes in as few commands as the router allows.
+	 *
+	 * Routes go out as .M transactions. While .M support is untried, the first
+	 * message goes alone: if the router rejects it, nothing has switched yet,
+	 * so .M is remembered as unsupported until the next connect or power-up
+	 * and the routes go out as .S commands instead, at most bulk_window at a
+	 * time so a large batch doesn't flood the controller. They go straight to
+	 * the command pipeline, not through the bulk query scheduler, so an
+	 * operator's batch never waits behind name, crosspoint or lock polling
+	 * (at most one window of it is ahead) and is never merged with an
+	 * earlier press that is still pending. A rejection
+	 * once .M has worked is reported, not re-sent as .S, as earlier messages
+	 * have already switched. Throws when any route fails.
+	 *
+	 * @private
+	 * @async
+	 * @param {{ levels: string, destination: number, source: number }[]} routes - Routes to set
+	 * @param {string} failureDesc - Start of the error message when a route fails
+	 * @returns {Promise<string>} How the routes were sent, for logging (e.g. 'in 1 .M message(s)')
+	 */
+	async _sendRouteBatch(routes, failureDesc) {
+		const self = this
+
+		self._noteLocalRoutes(routes)
+
+		if (self._multiSetSupported !== false) {
+			const messages = buildMultiSetCommand(routes)
+				.split('\r')
+				.filter((message) => message.length > 0)
+			let remaining = messages
+
+			if (self._multiSetSupported === null) {
+				const first = await self.sendCommandAwaitReply(messages[0])
+
+				if (first.status === CommandStatus.OK) {
+					self._multiSetSupported = true
+					remaining = messages.slice(1)
+				} else if (first.status === CommandStatus.ERROR) {
+					// Rejected before anything switched: the router doesn't take .M
+					self._multiSetSupported = false
+					self.log('info', 'Router rejected .M — sending route batches with .S')
+				} else {
+					const msg = `${failureDesc}: ${first.command} ${describeCommandResult(first)}`
+					self.log('error', msg)
+					throw new Error(msg)
+				}
+			}
+
+			if (self._multiSetSupported) {
+				const results = await Promise.all(remaining.map((message) => self.sendCommandAwaitReply(message)))
+				const failed = results.find((result) => result.status !== CommandStatus.OK)
+
+				if (failed) {
+					const msg = `${failureDesc}: ${failed.command} ${describeCommandResult(failed)}`
+					self.log('error', msg)
+					throw new Error(msg)
+				}
+
+				return `in ${messages.length} .M message(s)`
+			}
+		}
+
+		const commands = routes.map(({ levels, destination, source }) => buildRouteCommand(levels, destination, source))
+		const window = Number(self.config.bulk_window) || DEFAULT_BULK_WINDOW
+		const results = []
+
+		for (let i = 0; i < commands.length; i += window) {
+			const chunk = commands.slice(i, i + window)
+			results.push(...(await Promise.all(chunk.map((command) => self.sendCommandAwaitReply(command)))))
+		}
+
+		const failed = results.filter((result) => result.status !== CommandStatus.OK)
+		if (failed.length > 0) {
+			const msg = `${failureDesc}: ${failed.length} of ${results.length} route(s) failed, first ${failed[0].command} ${describeCommandResult(failed[0])}`
 			self.log('error', msg)
 			throw new Error(msg)
 		}
 
-		self.log('info', `Route sent: ${routeDesc}`)
+		return 'with .S'
+	},
+
+	/**
+	 * Adds a crosspoint to the router's queue with required success/failure logging.
+	 *
+	 * Nothing switches until the queue is fired with sendQueueFireCommand().
+	 * Throws when the command cannot be sent or the router rejects it.
+	 *
+	 * @async
+	 * @param {string} levels - Level string (e.g. 'V', 'VABC')
+	 * @param {number|string} destination - Destination ID
+	 * @param {number|string} source - Source ID
+	 * @returns {Promise<void>}
+	 */
+	async sendQueueRouteCommand(levels, destination, source) {
+		const self = this
+		const routeDesc = `source ${source} -> destination ${destination} (levels ${levels})`
+
+		await self._sendCheckedCommand(
+			buildQueueRouteCommand(levels, destination, source),
+			`Queue route failed: ${routeDesc}`,
+		)
+
+		self.log('info', `Route queued: ${routeDesc}`)
+		self._addQueuedRoute({ levels, destination, source })
+	},
+
+	/**
+	 * Fires (takes) every crosspoint in the router's queue.
+	 *
+	 * Throws when the command cannot be sent or the router rejects it.
+	 *
+	 * @async
+	 * @returns {Promise<void>}
+	 */
+	async sendQueueFireCommand() {
+		const self = this
+		const count = self.queuedRoutes.length
+
+		self._noteLocalRoutes(self.queuedRoutes)
+		await self._sendCheckedCommand(buildQueueFireCommand(), `Fire queue failed (${count} route(s) queued)`)
+
+		self.log('info', `Queue fired: ${count} route(s)`)
+		self._clearQueuedRoutes()
+	},
+
+	/**
+	 * Clears the router's queue without switching anything.
+	 *
+	 * Throws when the command cannot be sent or the router rejects it.
+	 *
+	 * @async
+	 * @returns {Promise<void>}
+	 */
+	async sendQueueClearCommand() {
+		const self = this
+		const count = self.queuedRoutes.length
+
+		await self._sendCheckedCommand(buildQueueClearCommand(), `Clear queue failed (${count} route(s) queued)`)
+
+		self.log('info', `Queue cleared: ${count} route(s) discarded`)
+		self._clearQueuedRoutes()
+	},
+
+	/**
+	 * Fires a salvo stored on the router with required success/failure logging.
+	 *
+	 * Throws when the command cannot be sent or the router rejects it
+	 * (e.g. the salvo doesn't exist).
+	 *
+	 * @async
+	 * @param {number|string} salvo - Salvo ID
+	 * @returns {Promise<void>}
+	 */
+	async sendSalvoCommand(salvo) {
+		const self = this
+
+		// The routes the salvo switches are reported without saying so
+		self._noteLocalChange('salvo', parseInt(salvo, 10))
+
+		try {
+			await self._sendCheckedCommand(buildSalvoCommand(salvo), `Fire salvo failed: salvo ${salvo}`)
+		} catch (error) {
+			self.localChanges.delete('salvo')
+			throw error
+		}
+
+		self.log('info', `Salvo fired: salvo ${salvo}`)
+		self._audit({ event: 'salvo', origin: AuditOrigin.LOCAL, detail: `Salvo ${salvo}` })
 	},
 
 	/**
@@ -278,23 +1393,28 @@ module.exports = {
 	 *
 	 * Quartz format is `.BL{dest}` / `.BU{dest}` (no comma).
 	 * Toggle uses the last known lock state for that destination.
-	 * Throws when the command cannot be sent.
+	 * Refuses to release another panel's protected lock unless forced.
+	 * Throws when the command cannot be sent or the router rejects it.
 	 *
 	 * @async
 	 * @param {number|string} destination - Destination ID
 	 * @param {string} lockState - 'L' to lock, 'U' to unlock, 'T' to toggle
+	 * @param {Object} [options]
+	 * @param {boolean} [options.force=false] - Unlock even when another panel holds the lock
 	 * @returns {Promise<void>}
 	 */
-	async sendLockCommand(destination, lockState) {
+	async sendLockCommand(destination, lockState, { force = false } = {}) {
 		const self = this
 
+		const destNum = typeof destination === 'string' ? parseInt(destination, 10) : destination
+		const panelAddress = Number(self.config.panel_address) || 0
+
 		let state = lockState
+		let knownStatus = self.locks?.[destNum]
 		if (state === 'T') {
-			const destNum = typeof destination === 'string' ? parseInt(destination, 10) : destination
 			// Lock state may still be unknown this early (e.g. right after connect,
 			// before _requestLocks()'s .BA replies arrive) — interrogate and wait for
 			// the real status instead of guessing, so toggle doesn't pick the wrong direction.
-			let knownStatus = self.locks?.[destNum]
 			if (knownStatus === undefined && typeof self._interrogateLockStatus === 'function') {
 				knownStatus = await self._interrogateLockStatus(destNum)
 			}
@@ -304,27 +1424,30 @@ module.exports = {
 			state = 'L'
 		}
 
-		const actionLabel = state === 'L' ? 'Lock' : 'Unlock'
-		const command = `.B${state}${destination}`
-		const desc = `${actionLabel} destination ${destination}`
-
-		const sent = await self.sendCommand(command)
-		if (!sent) {
-			const msg = `${actionLabel} failed: destination ${destination}`
+		if (state === 'U' && !force && getLockOwner(knownStatus, panelAddress) === LockOwner.OTHER) {
+			const msg = `Unlock refused: destination ${destination} is locked by panel ${knownStatus}`
 			self.log('error', msg)
 			throw new Error(msg)
 		}
 
-		self.log('info', `${desc} sent`)
+		self._noteLocalChange(`lock:${destNum}`, true)
+
+		const actionLabel = state === 'L' ? 'Lock' : 'Unlock'
+		const command = state === 'L' ? buildLockCommand(destination) : buildUnlockCommand(destination)
+		const desc = `${actionLabel} destination ${destination}`
+
+		await self._sendCheckedCommand(command, `${actionLabel} failed: destination ${destination}`)
+
+		self.log('info', `${desc} acknowledged`)
 
-		// Optimistically update local state when controllers omit .BA
+		// Optimistically update local state when controllers omit .BA. Our lock is
+		// held at our panel address when we have one, otherwise it is unprotected
 		if (typeof self._handleLockStatus === 'function') {
-			const destNum = typeof destination === 'string' ? parseInt(destination, 10) : destination
-			self._handleLockStatus({ destination: destNum, status: state === 'L' ? 255 : 0 })
+			self._handleLockStatus({ destination: destNum, status: state === 'L' ? panelAddress || 255 : 0 })
 		}
 
 		// Interrogate for authoritative status when the controller supports it
-		await self.sendCommand(`.BI${destination}`)
+		await self.sendCommand(buildLockInterrogateCommand(destination))
 	},
 
 	/**
@@ -0,0 +1,307 @@
+/**
+ * @fileoverview Route Audit Log for Evertz Quartz Module
+ *
+ * Writes a structured record of everything that changes on the router —
+ * routes, locks, salvos, power-ups — and of the connection's ups and downs,
+ * to daily files that can be searched after a show:
+ *
+ *   quartz-audit-{instance}-20261018.jsonl
+ *
+ * Each line (JSON Lines) or row (CSV) is one event, with the names as well as
+ * the IDs involved and whether this instance made the change:
+ *
+ *   {"time":"2026-10-18T09:00:01.250Z","event":"route","origin":"local","levels":"VA","destination":2,
+ *    "destination_name":"PGM","source":5,"source_name":"CAM 5"}
+ *
+ * A new file is started at local midnight, and files older than the retention
+ * period are deleted when it is.
+ *
+ * @module audit
+ * @author Companion Module Contributors
+ * @see {@link https://github.com/bitfocus/companion-module-evertz-quartz}
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Audit log file format
+ * @readonly
+ * @enum {string}
+ */
+const AuditFormat = {
+	JSONL: 'jsonl',
+	CSV: 'csv',
+}
+
+/**
+ * Dropdown choices for the audit_format config field.
+ * @type {{ id: string, label: string }[]}
+ */
+const AUDIT_FORMAT_CHOICES = [
+	{ id: AuditFormat.JSONL, label: 'JSON Lines' },
+	{ id: AuditFormat.CSV, label: 'CSV' },
+]
+
+/**
+ * Where an audited change came from
+ * @readonly
+ * @enum {string}
+ */
+const AuditOrigin = {
+	/** Made by this instance (an action) */
+	LOCAL: 'local',
+	/** Made elsewhere: a panel, another controller, the router itself */
+	EXTERNAL: 'external',
+}
+
+/**
+ * Default number of days of audit files kept; 0 keeps them all.
+ * @type {number}
+ */
+const DEFAULT_AUDIT_RETENTION_DAYS = 30
+
+/**
+ * Columns of CSV audit files, in order. JSON Lines entries use the same keys, in the same order.
+ * @type {string[]}
+ */
+const AUDIT_CSV_COLUMNS = [
+	'time',
+	'event',
+	'origin',
+	'levels',
+	'destination',
+	'destination_name',
+	'source',
+	'source_name',
+	'detail',
+]
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} event - What happened: 'route', 'lock', 'salvo', 'power_up' or 'connection'
+ * @property {string} [origin] - One of AuditOrigin, for changes to the router
+ * @property {string} [levels] - Levels switched (routes)
+ * @property {number} [destination] - Destination ID (routes, locks)
+ * @property {string} [destination_name] - Destination name
+ * @property {number|string} [source] - Source ID (routes)
+ * @property {string} [source_name] - Source name
+ * @property {string} [detail] - Anything else: lock state, connection event, error message...
+ */
+
+/**
+ * Formats a date as the local-day stamp used in file names
+ *
+ * @param {Date} date - Date
+ * @returns {string} e.g. '20261018'
+ */
+function dayStamp(date) {
+	const pad = (n) => String(n).padStart(2, '0')
+	return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`
+}
+
+/**
+ * Quotes a CSV field when it needs it
+ *
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+	const text = value === undefined || value === null ? '' : String(value)
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Writes audit entries to daily rotated files
+ *
+ * @example
+ * const audit = new AuditLog({ directory: '/var/log/quartz', instance: 'quartz-1', format: AuditFormat.CSV })
+ * audit.on('error', (error) => log(error))
+ * audit.write({ event: 'salvo', origin: AuditOrigin.LOCAL, detail: 'Salvo 3' })
+ * audit.close()
+ */
+class AuditLog {
+	/**
+	 * Creates a new AuditLog instance
+	 *
+	 * No file is created until the first entry is written.
+	 *
+	 * @param {Object} options
+	 * @param {string} options.directory - Directory to write audit files to
+	 * @param {string} options.instance - Instance label, part of the file names
+	 * @param {string} [options.format=AuditFormat.JSONL] - One of AuditFormat
+	 * @param {number} [options.retentionDays=DEFAULT_AUDIT_RETENTION_DAYS] - Days of files kept; 0 keeps them all
+	 */
+	constructor({ directory, instance, format = AuditFormat.JSONL, retentionDays = DEFAULT_AUDIT_RETENTION_DAYS }) {
+		/** @type {string} */
+		this.directory = directory
+
+		/** @type {string} */
+		this.format = format === AuditFormat.CSV ? AuditFormat.CSV : AuditFormat.JSONL
+
+		/** @type {number} */
+		this.retentionDays = Math.max(0, retentionDays)
+
+		/**
+		 * File name prefix, from the instance label with unsafe characters replaced
+		 * @type {string}
+		 * @private
+		 */
+		this._prefix = `quartz-audit-${String(instance).replace(/[^\w.-]+/g, '_')}-`
+
+		/**
+		 * Day stamp of the open file
+		 * @type {string|null}
+		 * @private
+		 */
+		this._day = null
+
+		/**
+		 * @type {fs.WriteStream|null}
+		 * @private
+		 */
+		this._stream = null
+
+		/**
+		 * @type {function(Error): void}
+		 * @private
+		 */
+		this._onError = () => {}
+	}
+
+	/**
+	 * Path of the file currently written to, or null before the first entry
+	 * @type {string|null}
+	 */
+	get filePath() {
+		return this._day ? this._fileFor(this._day) : null
+	}
+
+	/**
+	 * Registers an error handler for file writes and clean-up
+	 *
+	 * @param {'error'} event - Only 'error' is emitted
+	 * @param {function(Error): void} handler - Error handler
+	 * @returns {AuditLog} This audit log
+	 */
+	on(event, handler) {
+		if (event === 'error') {
+			this._onError = handler
+			this._stream?.on('error', handler)
+		}
+		return this
+	}
+
+	/**
+	 * Writes an entry, stamped with the current time
+	 *
+	 * @param {AuditEntry} entry - Entry to write
+	 * @returns {void}
+	 */
+	write(entry) {
+		const now = new Date()
+		this._rotate(dayStamp(now))
+
+		const record = { time: now.toISOString(), ...entry }
+		const columns = AUDIT_CSV_COLUMNS.filter((column) => this.format === AuditFormat.CSV || column in record)
+		const line =
+			this.format === AuditFormat.CSV
+				? columns.map((column) => csvField(record[column])).join(',')
+				: JSON.stringify(Object.fromEntries(columns.map((column) => [column, record[column]])))
+
+		this._stream?.write(`${line}\n`)
+	}
+
+	/**
+	 * Flushes and closes the open file
+	 *
+	 * @returns {void}
+	 */
+	close() {
+		if (this._stream) {
+			this._stream.end()
+			this._stream = null
+		}
+		this._day = null
+	}
+
+	/**
+	 * Switches to the file for a day, when it isn't already open
+	 *
+	 * A new CSV file starts with the column header. Opening a file also
+	 * deletes files past the retention period.
+	 *
+	 * @private
+	 * @param {string} day - Day stamp
+	 * @returns {void}
+	 */
+	_rotate(day) {
+		if (day === this._day) {
+			return
+		}
+
+		this.close()
+		this._day = day
+
+		const filePath = this._fileFor(day)
+		const isNew = !fs.existsSync(filePath)
+
+		this._stream = fs.createWriteStream(filePath, { flags: 'a' })
+		this._stream.on('error', this._onError)
+
+		if (isNew && this.format === AuditFormat.CSV) {
+			this._stream.write(`${AUDIT_CSV_COLUMNS.join(',')}\n`)
+		}
+
+		this._prune(day).catch(this._onError)
+	}
+
+	/**
+	 * Deletes this instance's files older than the retention period
+	 *
+	 * @private
+	 * @async
+	 * @param {string} today - Day stamp of the open file
+	 * @returns {Promise<void>}
+	 */
+	async _prune(today) {
+		if (this.retentionDays === 0) {
+			return
+		}
+
+		const cutoff = new Date(
+			Number(today.slice(0, 4)),
+			Number(today.slice(4, 6)) - 1,
+			Number(today.slice(6, 8)) - this.retentionDays + 1,
+		)
+		const oldest = dayStamp(cutoff)
+
+		for (const name of await fs.promises.readdir(this.directory)) {
+			if (!name.startsWith(this._prefix)) {
+				continue
+			}
+
+			const match = name.slice(this._prefix.length).match(/^(\d{8})\.(jsonl|csv)$/)
+			if (match && match[1] < oldest) {
+				await fs.promises.unlink(path.join(this.directory, name))
+			}
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {string} day - Day stamp
+	 * @returns {string} Path of the day's file
+	 */
+	_fileFor(day) {
+		return path.join(this.directory, `${this._prefix}${day}.${this.format}`)
+	}
+}
+
+module.exports = {
+	AuditLog,
+	AuditFormat,
+	AUDIT_FORMAT_CHOICES,
+	AuditOrigin,
+	DEFAULT_AUDIT_RETENTION_DAYS,
+}
@@ -0,0 +1,299 @@
+/**
+ * @fileoverview Flow-Controlled Bulk Queries for Evertz Quartz Module
+ *
+ * Reading a large router's state takes thousands of commands: two name reads
+ * per destination and source, an .I (or .L) per crosspoint and a .BI per
+ * destination. Written to the socket in one go, that floods some controllers
+ * (MAGNUM drops data and resets the session). The scheduler here sends each
+ * bulk query in windows instead: at most `window` commands are outstanding,
+ * and each reply (or timeout) lets the next command go.
+ *
+ * Bulk queries run one at a time, in the order they were queued. Queuing a
+ * query that is already queued or running returns the existing one, so a
+ * poll that comes round before the last one finished doesn't pile up.
+ *
+ * @module bulk
+ * @author Companion Module Contributors
+ * @see {@link https://github.com/bitfocus/companion-module-evertz-quartz}
+ */
+
+const { CommandStatus } = require('./pipeline')
+
+/**
+ * Default number of bulk query commands outstanding at once.
+ * @type {number}
+ */
+const DEFAULT_BULK_WINDOW = 32
+
+/**
+ * @typedef {Object} BulkQueryResult
+ * @property {string} name - Query name (e.g. 'names')
+ * @property {number} total - Number of commands in the query
+ * @property {number} done - Commands answered or given up on
+ * @property {number} errors - Commands the router answered with .E
+ * @property {number} timeouts - Commands that got no reply
+ * @property {boolean} aborted - Whether the query stopped before every command was sent
+ * @property {boolean} stalled - Whether it stopped because a whole window went unanswered
+ */
+
+/**
+ * @typedef {Object} BulkQueryJob
+ * @property {string} name - Query name
+ * @property {string[]} commands - Commands, without '\r'
+ * @property {number} window - Most commands outstanding at once
+ * @property {number} next - Index of the next command to send
+ * @property {number} inflight - Commands sent and not yet settled
+ * @property {number} done - Commands settled
+ * @property {number} errors - .E replies
+ * @property {number} timeouts - Unanswered commands
+ * @property {number} consecutiveTimeouts - Unanswered commands since the last reply
+ * @property {Promise<BulkQueryResult>} promise - Settles when the query finishes
+ * @property {function(BulkQueryResult): void} resolve - Settles the promise
+ */
+
+/**
+ * Runs bulk queries through the command pipeline with flow control
+ *
+ * @example
+ * const bulk = new BulkQueryScheduler({
+ *   write: (cmd) => self._writeCommands(cmd),
+ *   onProgress: (job) => self.setVariableValues({ query_progress: job ? `${job.name} ${job.done}/${job.commands.length}` : 'idle' }),
+ * })
+ * const result = await bulk.enqueue('names', ['.RD1', '.RD2', '.RS1'])
+ */
+class BulkQueryScheduler {
+	/**
+	 * Creates a new BulkQueryScheduler instance
+	 *
+	 * @param {Object} options
+	 * @param {function(string): Promise<CommandResult>[]|null} options.write - Sends '\r'-separated commands;
+	 *   returns one outcome per command, or null when not connected
+	 * @param {function(BulkQueryJob|null): void} [options.onProgress] - Called as commands settle, and with
+	 *   null once no query is running
+	 */
+	constructor({ write, onProgress = () => {} }) {
+		/** @type {function(string): Promise<CommandResult>[]|null} @private */
+		this._write = write
+
+		/** @type {function(BulkQueryJob|null): void} @private */
+		this._onProgress = onProgress
+
+		/**
+		 * Query being sent
+		 * @type {BulkQueryJob|null}
+		 * @private
+		 */
+		this._current = null
+
+		/**
+		 * Queries waiting their turn, oldest first
+		 * @type {BulkQueryJob[]}
+		 * @private
+		 */
+		this._queue = []
+	}
+
+	/**
+	 * Query being sent, if any
+	 * @type {BulkQueryJob|null}
+	 */
+	get active() {
+		return this._current
+	}
+
+	/**
+	 * Queues a bulk query
+	 *
+	 * @param {string} name - Query name, used for progress and to skip duplicates
+	 * @param {string[]} commands - Commands to send, without '\r'
+	 * @param {Object} [options]
+	 * @param {number} [options.window=DEFAULT_BULK_WINDOW] - Most commands outstanding at once
+	 * @returns {Promise<BulkQueryResult>} Settles when every command has been answered or given up on
+	 */
+	enqueue(name, commands, { window = DEFAULT_BULK_WINDOW } = {}) {
+		const existing = [this._current, ...this._queue].find((job) => job?.name === name)
+		if (existing) {
+			return existing.promise
+		}
+
+		const job = {
+			name,
+			commands,
+			window: Math.max(1, window),
+			next: 0,
+			inflight: 0,
+			done: 0,
+			errors: 0,
+			timeouts: 0,
+			consecutiveTimeouts: 0,
+		}
+		job.promise = new Promise((resolve) => {
+			job.resolve = resolve
+		})
+
+		this._queue.push(job)
+		this._runNext()
+
+		return job.promise
+	}
+
+	/**
+	 * Abandons the running query and every queued one, e.g. when the connection drops
+	 *
+	 * Commands already sent are left to the command pipeline.
+	 *
+	 * @returns {void}
+	 */
+	cancel() {
+		const jobs = [this._current, ...this._queue].filter(Boolean)
+		this._current = null
+		this._queue = []
+
+		for (const job of jobs) {
+			job.resolve(this._result(job, true, false))
+		}
+
+		if (jobs.length > 0) {
+			this._onProgress(null)
+		}
+	}
+
+	/**
+	 * Starts the next queued query when none is running
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	_runNext() {
+		if (this._current || this._queue.length === 0) {
+			if (!this._current) {
+				this._onProgress(null)
+			}
+			return
+		}
+
+		this._current = this._queue.shift()
+		this._onProgress(this._current)
+
+		if (this._current.commands.length === 0) {
+			this._finish(this._current, false)
+			return
+		}
+
+		this._pump(this._current)
+	}
+
+	/**
+	 * Tops the query up to its window of outstanding commands
+	 *
+	 * @private
+	 * @param {BulkQueryJob} job - Running query
+	 * @returns {void}
+	 */
+	_pump(job) {
+		const room = job.window - job.inflight
+		if (room <= 0 || job.next >= job.commands.length) {
+			return
+		}
+
+		const batch = job.commands.slice(job.next, job.next + room)
+		const results = this._write(batch.join('\r'))
+
+		if (results === null) {
+			this._finish(job, true)
+			return
+		}
+
+		job.next += batch.length
+		job.inflight += batch.length
+
+		for (const result of results) {
+			result.then((outcome) => this._settle(job, outcome))
+		}
+	}
+
+	/**
+	 * Counts a settled command and sends more
+	 *
+	 * Gives up when a whole window goes unanswered: the router has stopped
+	 * replying, and the rest would only time out one by one.
+	 *
+	 * @private
+	 * @param {BulkQueryJob} job - Query the command belongs to
+	 * @param {CommandResult} outcome - Command outcome
+	 * @returns {void}
+	 */
+	_settle(job, outcome) {
+		if (job !== this._current) {
+			return
+		}
+
+		job.inflight--
+		job.done++
+
+		if (outcome.status === CommandStatus.OK) {
+			job.consecutiveTimeouts = 0
+		} else if (outcome.status === CommandStatus.ERROR) {
+			job.errors++
+			job.consecutiveTimeouts = 0
+		} else {
+			job.timeouts++
+			job.consecutiveTimeouts++
+		}
+
+		if (job.consecutiveTimeouts >= job.window) {
+			this._finish(job, true, true)
+			return
+		}
+
+		if (job.done % job.window === 0 || job.done === job.commands.length) {
+			this._onProgress(job)
+		}
+
+		if (job.done === job.commands.length) {
+			this._finish(job, false)
+			return
+		}
+
+		this._pump(job)
+	}
+
+	/**
+	 * Settles a query and moves on to the next
+	 *
+	 * @private
+	 * @param {BulkQueryJob} job - Query to finish
+	 * @param {boolean} aborted - Whether it stopped early
+	 * @param {boolean} [stalled=false] - Whether it stopped because the router stopped answering
+	 * @returns {void}
+	 */
+	_finish(job, aborted, stalled = false) {
+		this._current = null
+		job.resolve(this._result(job, aborted, stalled))
+		this._runNext()
+	}
+
+	/**
+	 * @private
+	 * @param {BulkQueryJob} job - Query
+	 * @param {boolean} aborted - Whether it stopped early
+	 * @param {boolean} stalled - Whether it stopped because the router stopped answering
+	 * @returns {BulkQueryResult}
+	 */
+	_result(job, aborted, stalled) {
+		return {
+			name: job.name,
+			total: job.commands.length,
+			done: job.done,
+			errors: job.errors,
+			timeouts: job.timeouts,
+			aborted,
+			stalled,
+		}
+	}
+}
+
+module.exports = {
+	BulkQueryScheduler,
+	DEFAULT_BULK_WINDOW,
+}
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Protocol Traffic Capture for Evertz Quartz Module
+ *
+ * Records raw router traffic in both directions to a capture file, and reads
+ * capture files back for offline replay through QuartzParser.
+ *
+ * Capture files are JSON Lines. The first line describes the session, every
+ * following line is one chunk of traffic or a connection event:
+ *
+ *   {"type":"start","time":"2026-10-18T09:00:00.000Z","host":"10.0.0.5","port":"23","encoding":"latin1"}
+ *   {"t":0.412,"dir":"tx","data":"LlJEMQ0="}
+ *   {"t":3.907,"dir":"rx","data":"LlJBRDEsTU9OIDEN"}
+ *   {"t":5012.33,"event":"close"}
+ *
+ * `t` is milliseconds since the capture started (microsecond resolution) and
+ * `data` is the raw bytes, base64-encoded, exactly as sent or received.
+ *
+ * @module capture
+ * @author Companion Module Contributors
+ * @see {@link https://github.com/bitfocus/companion-module-evertz-quartz}
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Traffic direction of a capture entry
+ * @readonly
+ * @enum {string}
+ */
+const CaptureDirection = {
+	/** Sent to the router */
+	TX: 'tx',
+	/** Received from the router */
+	RX: 'rx',
+}
+
+/**
+ * @typedef {Object} CaptureEntry
+ * @property {number} t - Milliseconds since the capture started
+ * @property {string} [dir] - One of CaptureDirection, for traffic entries
+ * @property {Buffer} [data] - Raw bytes, for traffic entries
+ * @property {string} [event] - Connection event name (e.g. 'connect', 'close'), for event entries
+ */
+
+/**
+ * Builds a timestamped capture file name
+ *
+ * @param {Date} [date=new Date()] - Capture start time
+ * @returns {string} File name, e.g. 'quartz-capture-20261018-090000.jsonl'
+ */
+function captureFileName(date = new Date()) {
+	const pad = (n) => String(n).padStart(2, '0')
+	const stamp =
+		`${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+		`-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`
+	return `quartz-capture-${stamp}.jsonl`
+}
+
+/**
+ * Writes router traffic to a capture file
+ *
+ * Timing uses the monotonic high-resolution clock, so entries stay correctly
+ * spaced even if the system clock is adjusted mid-capture.
+ *
+ * @example
+ * const recorder = new TrafficRecorder('/var/log/quartz', { host: '10.0.0.5', port: '23' })
+ * recorder.on('error', (error) => log(error))
+ * recorder.record(CaptureDirection.TX, Buffer.from('.RD1\r'))
+ * recorder.close()
+ */
+class TrafficRecorder {
+	/**
+	 * Creates a capture file in the given directory and writes its header
+	 *
+	 * @param {string} directory - Directory to write the capture file to
+	 * @param {Object} [session={}] - Session details for the header line (host, port, encoding...)
+	 */
+	constructor(directory, session = {}) {
+		const started = new Date()
+
+		/**
+		 * Full path of the capture file
+		 * @type {string}
+		 */
+		this.filePath = path.join(directory, captureFileName(started))
+
+		/**
+		 * Capture start on the high-resolution clock
+		 * @type {bigint}
+		 * @private
+		 */
+		this._start = process.hrtime.bigint()
+
+		/**
+		 * @type {fs.WriteStream|null}
+		 * @private
+		 */
+		this._stream = fs.createWriteStream(this.filePath, { flags: 'a' })
+
+		this._write({ type: 'start', time: started.toISOString(), ...session })
+	}
+
+	/**
+	 * Registers an error handler for the underlying file stream
+	 *
+	 * @param {'error'} event - Only 'error' is emitted
+	 * @param {function(Error): void} handler - Error handler
+	 * @returns {TrafficRecorder} This recorder
+	 */
+	on(event, handler) {
+		this._stream?.on(event, handler)
+		return this
+	}
+
+	/**
+	 * Records a chunk of traffic
+	 *
+	 * @param {string} dir - One of CaptureDirection
+	 * @param {Buffer} data - Raw bytes as sent or received
+	 * @returns {void}
+	 */
+	record(dir, data) {
+		this._write({ t: this._elapsed(), dir, data: data.toString('base64') })
+	}
+
+	/**
+	 * Records a connection event
+	 *
+	 * @param {string} event - Event name (e.g. 'connect', 'close', 'error')
+	 * @param {string} [detail] - Optional detail, such as an error message
+	 * @returns {void}
+	 */
+	recordEvent(event, detail) {
+		this._write({ t: this._elapsed(), event, ...(detail ? { detail } : {}) })
+	}
+
+	/**
+	 * Flushes and closes the capture file
+	 *
+	 * @returns {void}
+	 */
+	close() {
+		if (this._stream) {
+			this._stream.end()
+			this._stream = null
+		}
+	}
+
+	/**
+	 * Milliseconds since the capture started, to the microsecond
+	 *
+	 * @private
+	 * @returns {number}
+	 */
+	_elapsed() {
+		return Number((process.hrtime.bigint() - this._start) / 1000n) / 1000
+	}
+
+	/**
+	 * Appends one JSON line to the capture file
+	 *
+	 * @private
+	 * @param {Object} entry - Entry to write
+	 * @returns {void}
+	 */
+	_write(entry) {
+		if (this._stream) {
+			this._stream.write(`${JSON.stringify(entry)}\n`)
+		}
+	}
+}
+
+/**
+ * Reads a capture file
+ *
+ * Lines that aren't valid JSON (e.g. a final line cut short when the
+ * recording instance was killed) are skipped.
+ *
+ * @async
+ * @param {string} filePath - Path of the capture file
+ * @returns {Promise<{ header: Object|null, entries: CaptureEntry[] }>} Session header and entries in file order
+ */
+async function readCapture(filePath) {
+	const text = await fs.promises.readFile(filePath, 'utf8')
+
+	let header = null
+	const entries = []
+
+	for (const line of text.split('\n')) {
+		if (line.trim() === '') {
+			continue
+		}
+
+		let entry
+		try {
+			entry = JSON.parse(line)
+		} catch {
+			continue
+		}
+
+		if (entry.type === 'start') {
+			header = entry
+		} else if (typeof entry.t === 'number') {
+			entries.push(entry.data !== undefined ? { ...entry, data: Buffer.from(entry.data, 'base64') } : entry)
+		}
+	}
+
+	return { header, entries }
+}
+
+module.exports = {
+	CaptureDirection,
+	TrafficRecorder,
+	captureFileName,
+	readCapture,
+}
@@ -10,7 +10,23 @@
  */
 
 const { Regex } = require('@companion-module/base')
-const { DEFAULT_XPT_LEVEL_SYSTEM, XPT_LEVEL_CHOICES } = require('./constants')
+const {
+	DEFAULT_XPT_LEVEL_SYSTEM,
+	XPT_LEVEL_CHOICES,
+	DEFAULT_CHARACTER_ENCODING,
+	CHARACTER_ENCODING_CHOICES,
+	DEFAULT_NAME_REFRESH_INTERVAL,
+	DEFAULT_FAILOVER_DELAY,
+	DEFAULT_WATCHDOG_MISSED_REPLIES,
+	DEFAULT_RECONNECT_MAX_DELAY,
+	ConnectionMode,
+	CONNECTION_MODE_CHOICES,
+	SimulatorLockMode,
+	SIMULATOR_LOCK_MODE_CHOICES,
+} = require('./constants')
+const { DEFAULT_BULK_WINDOW } = require('./bulk')
+const { DEFAULT_HISTORY_DEPTH } = require('./history')
+const { AuditFormat, AUDIT_FORMAT_CHOICES, DEFAULT_AUDIT_RETENTION_DAYS } = require('./audit')
 
 /**
  * Configuration field definitions
@@ -46,6 +62,21 @@ module.exports = {
 			},
 
 			// Connection settings
+			{
+				type: 'dropdown',
+				id: 'connection_mode',
+				label: 'Connection Mode',
+				width: 4,
+				default: ConnectionMode.TCP,
+				choices: CONNECTION_MODE_CHOICES,
+			},
+			{
+				type: 'static-text',
+				id: 'connectionmodeinfo',
+				width: 8,
+				label: ' ',
+				value: "Replay plays a traffic capture file (see Record Traffic below) through the module with no network, to reproduce a site's names, crosspoints and locks offline. Simulated router runs a built-in Quartz controller (see Simulated Router below) for demos and testing.",
+			},
 			{
 				type: 'textinput',
 				id: 'host',
@@ -68,6 +99,58 @@ module.exports = {
 				label: ' ',
 				value: 'Other port numbers may be used for Quartz. Check your device manual and configuration settings.',
 			},
+			{
+				type: 'textinput',
+				id: 'backup_host',
+				label: 'Backup IP Address',
+				width: 4,
+				default: '',
+			},
+			{
+				type: 'textinput',
+				id: 'backup_port',
+				label: 'Backup Port',
+				width: 3,
+				default: '',
+			},
+			{
+				type: 'number',
+				id: 'failover_delay',
+				label: 'Failover After (seconds)',
+				width: 3,
+				default: DEFAULT_FAILOVER_DELAY,
+				min: 1,
+				max: 300,
+			},
+			{
+				type: 'checkbox',
+				id: 'failback',
+				label: 'Return to Primary',
+				default: true,
+				width: 2,
+			},
+			{
+				type: 'static-text',
+				id: 'failoverinfo',
+				width: 12,
+				label: ' ',
+				value: 'For redundant controller pairs. If the active controller drops, or stops answering, for longer than the failover time, the module switches to the other one and refreshes everything. Backup Port defaults to Port. With Return to Primary on, the module moves back once the primary accepts connections again.',
+			},
+			{
+				type: 'dropdown',
+				id: 'encoding',
+				label: 'Character Set',
+				width: 4,
+				default: DEFAULT_CHARACTER_ENCODING,
+				choices: CHARACTER_ENCODING_CHOICES,
+			},
+			{
+				type: 'static-text',
+				id: 'encodinginfo',
+				width: 8,
+				label: ' ',
+				value: 'Character set the router uses for source, destination and level names. Choose the one that makes accented names (é, ü) display correctly.',
+			},
 
 			// Router size settings
 			{
@@ -90,12 +173,33 @@ module.exports = {
 				max: 4096,
 				required: true,
 			},
+			{
+				type: 'checkbox',
+				id: 'auto_detect_size',
+				label: 'Detect Router Size',
+				default: false,
+				width: 4,
+			},
+			{
+				type: 'textinput',
+				id: 'destination_ranges',
+				label: 'Destination Ranges',
+				width: 6,
+				default: '',
+			},
+			{
+				type: 'textinput',
+				id: 'source_ranges',
+				label: 'Source Ranges',
+				width: 6,
+				default: '',
+			},
 			{
 				type: 'static-text',
 				id: 'sizeinfo',
-				width: 4,
+				width: 12,
 				label: ' ',
-				value: 'Set to match your router configuration. Higher values increase name query time.',
+				value: 'Set to match your router configuration. Higher values increase name query time. With Detect Router Size on, the module finds the real counts on connect (from which name reads the router rejects) and uses them instead; the values here are used if detection fails. Ranges (e.g. 1-64,501-540) limit variables, polling, dropdowns and presets to those ports; leave blank for 1 to the count.',
 			},
 			{
 				type: 'static-text',
@@ -121,7 +225,71 @@ module.exports = {
 				id: 'pollinginfo',
 				width: 9,
 				label: ' ',
-				value: 'Polling refreshes source/destination names and crosspoint state periodically. Crosspoints also update in real-time via router notifications.',
+				value: 'Polling refreshes crosspoint state periodically. Crosspoints also update in real-time via router notifications.',
+			},
+			{
+				type: 'number',
+				id: 'name_refresh_interval',
+				label: 'Name Refresh Interval (minutes)',
+				width: 3,
+				default: DEFAULT_NAME_REFRESH_INTERVAL,
+				min: 0,
+				max: 1440,
+			},
+			{
+				type: 'static-text',
+				id: 'namerefreshinfo',
+				width: 9,
+				label: ' ',
+				value: 'How often source, destination and level names are re-read. 0 reads them only on connect, on router reset and with the "Refresh Names Now" action.',
+			},
+			{
+				type: 'number',
+				id: 'watchdog_missed_replies',
+				label: 'Watchdog: Missed Replies',
+				width: 3,
+				default: DEFAULT_WATCHDOG_MISSED_REPLIES,
+				min: 0,
+				max: 100,
+			},
+			{
+				type: 'static-text',
+				id: 'watchdoginfo',
+				width: 9,
+				label: ' ',
+				value: 'Replies in a row that may go missing before the connection is treated as dead and re-established (or failed over to the backup). Catches controllers that stop answering while the connection stays open. 0 turns the watchdog off.',
+			},
+			{
+				type: 'number',
+				id: 'reconnect_max_delay',
+				label: 'Max Reconnect Delay (seconds)',
+				width: 3,
+				default: DEFAULT_RECONNECT_MAX_DELAY,
+				min: 1,
+				max: 3600,
+			},
+			{
+				type: 'static-text',
+				id: 'reconnectinfo',
+				width: 9,
+				label: ' ',
+				value: 'After the connection drops, reconnect attempts are made after 1, 2, 4, 8... seconds, never waiting longer than this between attempts.',
+			},
+			{
+				type: 'number',
+				id: 'bulk_window',
+				label: 'Bulk Query Window',
+				width: 3,
+				default: DEFAULT_BULK_WINDOW,
+				min: 1,
+				max: 1024,
+			},
+			{
+				type: 'static-text',
+				id: 'bulkinfo',
+				width: 9,
+				label: ' ',
+				value: 'Most name, crosspoint and lock queries sent before waiting for replies. Lower it if the router drops the connection while reading a large configuration.',
 			},
 			{
 				type: 'static-text',
@@ -162,6 +330,177 @@ module.exports = {
 				value: '<hr />',
 			},
 
+			// Route verification settings
+			{
+				type: 'checkbox',
+				id: 'verify_routes',
+				label: 'Verify Routes',
+				width: 3,
+				default: false,
+			},
+			{
+				type: 'number',
+				id: 'route_verify_timeout',
+				label: 'Verify Timeout (ms)',
+				width: 3,
+				default: 2000,
+				min: 100,
+				max: 30000,
+				required: true,
+			},
+			{
+				type: 'static-text',
+				id: 'verifyinfo',
+				width: 6,
+				label: ' ',
+				value: 'When enabled, routing actions wait for the router to report the new crosspoint on every level, and fail if it does not land within the timeout or lands with a different source (e.g. the destination is locked by a panel).',
+			},
+			{
+				type: 'number',
+				id: 'panel_address',
+				label: 'Our Panel Address',
+				width: 3,
+				default: 0,
+				min: 0,
+				max: 254,
+			},
+			{
+				type: 'static-text',
+				id: 'panelinfo',
+				width: 9,
+				label: ' ',
+				value: "Lock status (1-254) the router reports for locks made over this connection, if it is set up as a panel; 0 if not. Locks held at any other address are another panel's, and Unlock refuses to release them unless forced.",
+			},
+			{
+				type: 'number',
+				id: 'history_depth',
+				label: 'Route History Depth',
+				width: 3,
+				default: DEFAULT_HISTORY_DEPTH,
+				min: 0,
+				max: 1000,
+			},
+			{
+				type: 'static-text',
+				id: 'historyinfo',
+				width: 9,
+				label: ' ',
+				value: 'Route changes kept per destination for Undo Last Route / Redo Route, whoever made them (Companion, panels or other controllers). 0 turns route history off.',
+			},
+			{
+				type: 'static-text',
+				id: 'hr8',
+				width: 12,
+				label: ' ',
+				value: '<hr />',
+			},
+
+			// Module salvo settings
+			{
+				type: 'textinput',
+				id: 'module_salvos',
+				label: 'Module Salvos',
+				width: 12,
+				default: '',
+				multiline: true,
+			},
+			{
+				type: 'static-text',
+				id: 'salvosinfo',
+				width: 12,
+				label: ' ',
+				value: 'Salvos kept in this connection instead of on the router, one per line: a name, then its routes as {levels}{dest},{src} separated by ;, e.g. "Studio A: VA1,5; VA2,6; 3,7". Routes without levels are on the video level. Fire them with Fire Module Salvo.',
+			},
+			{
+				type: 'checkbox',
+				id: 'magnum_presets',
+				label: 'Fetch Salvo List from MAGNUM',
+				width: 3,
+				default: false,
+			},
+			{
+				type: 'textinput',
+				id: 'magnum_host',
+				label: 'MAGNUM Host',
+				width: 3,
+				default: '',
+			},
+			{
+				type: 'textinput',
+				id: 'magnum_username',
+				label: 'MAGNUM User Name',
+				width: 3,
+				default: '',
+			},
+			{
+				type: 'secret-text',
+				id: 'magnum_password',
+				label: 'MAGNUM Password',
+				width: 3,
+				default: '',
+			},
+			{
+				type: 'static-text',
+				id: 'magnuminfo',
+				width: 12,
+				label: ' ',
+				value: "On connect, reads the router's salvos from the MAGNUM web interface (/magnum/controls/listPreset) for the Fire Salvo dropdown, salvo_{id}_name variables and Salvos presets. MAGNUM Host is an address, optionally with a port (e.g. 10.0.0.5 or 10.0.0.5:8080); blank uses the IP Address above. Leave the user name blank if the list needs no login.",
+			},
+			{
+				type: 'static-text',
+				id: 'hr7',
+				width: 12,
+				label: ' ',
+				value: '<hr />',
+			},
+
+			// Audit log settings
+			{
+				type: 'checkbox',
+				id: 'audit_log',
+				label: 'Audit Log',
+				default: false,
+				width: 3,
+			},
+			{
+				type: 'textinput',
+				id: 'audit_dir',
+				label: 'Audit Directory',
+				width: 9,
+				default: '',
+			},
+			{
+				type: 'dropdown',
+				id: 'audit_format',
+				label: 'Audit Format',
+				width: 3,
+				default: AuditFormat.JSONL,
+				choices: AUDIT_FORMAT_CHOICES,
+			},
+			{
+				type: 'number',
+				id: 'audit_retention_days',
+				label: 'Keep Audit Files (days)',
+				width: 3,
+				default: DEFAULT_AUDIT_RETENTION_DAYS,
+				min: 0,
+				max: 3650,
+			},
+			{
+				type: 'static-text',
+				id: 'auditinfo',
+				width: 12,
+				label: ' ',
+				value: 'Writes every route, lock change, salvo, router power-up and connection event, with names, IDs and whether this instance made the change, to one file per day in this directory. Files older than the number of days kept are deleted (0 keeps them all).',
+			},
+			{
+				type: 'static-text',
+				id: 'hr5',
+				width: 12,
+				label: ' ',
+				value: '<hr />',
+			},
+
 			// Debugging settings
 			{
 				type: 'checkbox',
@@ -177,6 +516,127 @@ module.exports = {
 				label: ' ',
 				value: 'Verbose logging outputs all sent and received data to the log, which can be useful for troubleshooting.',
 			},
+			{
+				type: 'checkbox',
+				id: 'record_traffic',
+				label: 'Record Traffic',
+				default: false,
+				width: 3,
+			},
+			{
+				type: 'textinput',
+				id: 'capture_dir',
+				label: 'Capture Directory',
+				width: 9,
+				default: '',
+			},
+			{
+				type: 'static-text',
+				id: 'recordinfo',
+				width: 12,
+				label: ' ',
+				value: 'Records all raw traffic in both directions, with timing, to a timestamped capture file in this directory. A new file starts when the config is saved; reconnects and failovers are recorded as events in the same file.',
+			},
+			{
+				type: 'textinput',
+				id: 'replay_file',
+				label: 'Replay Capture File',
+				width: 9,
+				default: '',
+			},
+			{
+				type: 'checkbox',
+				id: 'replay_realtime',
+				label: 'Replay in Real Time',
+				default: false,
+				width: 3,
+			},
+			{
+				type: 'static-text',
+				id: 'replayinfo',
+				width: 12,
+				label: ' ',
+				value: 'Full path of the capture file to play in Replay connection mode. In real time, traffic is played with its original timing; otherwise all at once.',
+			},
+			{
+				type: 'static-text',
+				id: 'hr6',
+				width: 12,
+				label: ' ',
+				value: '<hr />',
+			},
+
+			// Simulated router settings
+			{
+				type: 'number',
+				id: 'sim_destinations',
+				label: 'Simulated Destinations',
+				width: 4,
+				default: 16,
+				min: 1,
+				max: 4096,
+			},
+			{
+				type: 'number',
+				id: 'sim_sources',
+				label: 'Simulated Sources',
+				width: 4,
+				default: 16,
+				min: 1,
+				max: 4096,
+			},
+			{
+				type: 'textinput',
+				id: 'sim_levels',
+				label: 'Simulated Levels',
+				width: 4,
+				default: 'VABCDEFG',
+			},
+			{
+				type: 'textinput',
+				id: 'sim_destination_names',
+				label: 'Simulated Destination Names',
+				width: 6,
+				default: '',
+			},
+			{
+				type: 'textinput',
+				id: 'sim_source_names',
+				label: 'Simulated Source Names',
+				width: 6,
+				default: '',
+			},
+			{
+				type: 'dropdown',
+				id: 'sim_lock_mode',
+				label: 'Simulated Lock Behaviour',
+				width: 4,
+				default: SimulatorLockMode.ENFORCE,
+				choices: SIMULATOR_LOCK_MODE_CHOICES,
+			},
+			{
+				type: 'checkbox',
+				id: 'sim_list_routes',
+				label: 'Simulate .L Support',
+				default: true,
+				width: 4,
+			},
+			{
+				type: 'number',
+				id: 'sim_random_interval',
+				label: 'Random External Changes (seconds, 0 = off)',
+				width: 4,
+				default: 0,
+				min: 0,
+				max: 3600,
+			},
+			{
+				type: 'static-text',
+				id: 'siminfo',
+				width: 12,
+				label: ' ',
+				value: 'Used in Simulated router connection mode. Names are comma-separated, in ID order; blanks and missing names default to "SRC n" / "DST n". Levels are the level letters the simulated router has. Random external changes make routes and panel lock changes as if from another panel. Set Max Destinations / Max Sources to match.',
+			},
 		]
 	},
 }
@@ -59,6 +59,177 @@ const XPT_LEVEL_CHOICES = [
 	{ id: XptLevelSystem.MAGNUM, label: 'MAGNUM (26 Level)' },
 ]
 
+/**
+ * Config dropdown IDs for how the module reaches the router.
+ *
+ * @readonly
+ * @enum {string}
+ */
+const ConnectionMode = {
+	/** TCP connection to a Quartz controller */
+	TCP: 'tcp',
+	/** Replay a traffic capture file, no network */
+	REPLAY: 'replay',
+	/** In-process simulated router, no network */
+	SIMULATOR: 'simulator',
+}
+
+/**
+ * Dropdown choices for the connection_mode config field.
+ *
+ * @readonly
+ * @type {{ id: string, label: string }[]}
+ */
+const CONNECTION_MODE_CHOICES = [
+	{ id: ConnectionMode.TCP, label: 'TCP (router)' },
+	{ id: ConnectionMode.REPLAY, label: 'Replay capture file (no network)' },
+	{ id: ConnectionMode.SIMULATOR, label: 'Simulated router (no network)' },
+]
+
+/**
+ * Controller of a redundant pair the module is connected to.
+ *
+ * @readonly
+ * @enum {string}
+ */
+const ControllerRole = {
+	PRIMARY: 'primary',
+	BACKUP: 'backup',
+}
+
+/**
+ * Dropdown choices for picking a controller (feedback, force-switch action).
+ *
+ * @readonly
+ * @type {{ id: string, label: string }[]}
+ */
+const CONTROLLER_ROLE_CHOICES = [
+	{ id: ControllerRole.PRIMARY, label: 'Primary' },
+	{ id: ControllerRole.BACKUP, label: 'Backup' },
+]
+
+/**
+ * Default seconds without a connection to the active controller before failing over.
+ *
+ * @readonly
+ * @type {number}
+ */
+const DEFAULT_FAILOVER_DELAY = 10
+
+/**
+ * Default replies in a row that may go missing before the link watchdog
+ * declares the connection dead; 0 turns the watchdog off.
+ *
+ * @readonly
+ * @type {number}
+ */
+const DEFAULT_WATCHDOG_MISSED_REPLIES = 3
+
+/**
+ * Default ceiling for the reconnect backoff, in seconds.
+ *
+ * @readonly
+ * @type {number}
+ */
+const DEFAULT_RECONNECT_MAX_DELAY = 60
+
+/**
+ * Who holds a destination lock, relative to this module's panel address.
+ *
+ * @readonly
+ * @enum {string}
+ */
+const LockOwner = {
+	/** Not locked */
+	NONE: 'none',
+	/** Protected lock held at our panel address */
+	US: 'us',
+	/** Protected lock held by another panel */
+	OTHER: 'other',
+	/** Unprotected lock (.BA status 255), which any panel may release */
+	UNPROTECTED: 'unprotected',
+}
+
+/**
+ * Dropdown choices for the lock owner feedback.
+ *
+ * @readonly
+ * @type {{ id: string, label: string }[]}
+ */
+const LOCK_OWNER_CHOICES = [
+	{ id: LockOwner.US, label: 'Locked by us' },
+	{ id: LockOwner.OTHER, label: 'Locked by another panel' },
+	{ id: LockOwner.UNPROTECTED, label: 'Unprotected lock' },
+]
+
+/**
+ * How the simulated router treats destination locks.
+ *
+ * @readonly
+ * @enum {string}
+ */
+const SimulatorLockMode = {
+	/** Locked destinations refuse routes */
+	ENFORCE: 'enforce',
+	/** Locks are tracked and reported but routes still go through */
+	IGNORE: 'ignore',
+	/** Lock commands are answered with .E */
+	UNSUPPORTED: 'unsupported',
+}
+
+/**
+ * Dropdown choices for the sim_lock_mode config field.
+ *
+ * @readonly
+ * @type {{ id: string, label: string }[]}
+ */
+const SIMULATOR_LOCK_MODE_CHOICES = [
+	{ id: SimulatorLockMode.ENFORCE, label: 'Locks block routes' },
+	{ id: SimulatorLockMode.IGNORE, label: 'Locks reported, routes still allowed' },
+	{ id: SimulatorLockMode.UNSUPPORTED, label: 'Locks not supported (.E)' },
+]
+
+/**
+ * Config dropdown IDs for the router's character set.
+ *
+ * @readonly
+ * @enum {string}
+ */
+const CharacterEncoding = {
+	LATIN1: 'latin1',
+	UTF8: 'utf-8',
+	/** 7-bit ASCII; escape sequences and other non-printable characters are stripped */
+	ASCII: 'ascii',
+}
+
+/**
+ * Default character set for names and commands.
+ *
+ * @readonly
+ * @type {string}
+ */
+const DEFAULT_CHARACTER_ENCODING = CharacterEncoding.LATIN1
+
+/**
+ * Default minutes between name refreshes; 0 means on connect and on request only.
+ *
+ * @readonly
+ * @type {number}
+ */
+const DEFAULT_NAME_REFRESH_INTERVAL = 10
+
+/**
+ * Dropdown choices for the encoding config field.
+ *
+ * @readonly
+ * @type {{ id: string, label: string }[]}
+ */
+const CHARACTER_ENCODING_CHOICES = [
+	{ id: CharacterEncoding.LATIN1, label: 'Latin-1 (ISO 8859-1)' },
+	{ id: CharacterEncoding.UTF8, label: 'UTF-8' },
+	{ id: CharacterEncoding.ASCII, label: 'ASCII (strip escapes and non-printable characters)' },
+]
+
 /**
  * Resolves configured level system into unique valid level characters.
  *
@@ -116,14 +287,228 @@ function getXptVariableLevels(config) {
 	return [...levels]
 }
 
+/**
+ * Levels of the configured level system, video first.
+ *
+ * Unlike getXptVariableLevels() this ignores 'Expose Crosspoint Variables':
+ * it is the set of levels the module knows about (names, level pickers),
+ * whether or not crosspoint variables are published for them.
+ *
+ * @param {{ xpt_levels?: string }|undefined|null} config - Module config
+ * @returns {string[]} Level characters (e.g. ['V', 'A', 'B'])
+ */
+function getConfiguredLevels(config) {
+	return [...new Set(['V', ...parseLevelsConfig(config?.xpt_levels)])]
+}
+
+/**
+ * Parses a route list into level/destination/source triples.
+ *
+ * Entries are separated by ';' or new lines and use Quartz crosspoint
+ * notation, `{levels}{dest},{srce}` (e.g. `VA12,5`). The levels may be
+ * omitted (`12,5`), in which case defaultLevels is used.
+ *
+ * @param {string} text - Route list
+ * @param {string} [defaultLevels='V'] - Levels for entries that don't name any
+ * @returns {{ routes: { levels: string, destination: number, source: number }[], invalid: string[] }}
+ *   Parsed routes, plus the entries that couldn't be parsed
+ *
+ * @example
+ * parseRouteList('V1,5; VA2,6\n3,7', 'VA')
+ * // Returns: { routes: [{ levels: 'V', destination: 1, source: 5 }, ...], invalid: [] }
+ */
+function parseRouteList(text, defaultLevels = 'V') {
+	const routes = []
+	const invalid = []
+
+	for (const rawEntry of String(text ?? '').split(/[;\r\n]+/)) {
+		const entry = rawEntry.trim()
+		if (entry === '') {
+			continue
+		}
+
+		const match = entry.match(/^([A-Za-z]*)\s*(\d+)\s*,\s*(\d+)$/)
+		const levels = match ? (match[1] || defaultLevels).toUpperCase() : ''
+
+		if (!match || levels === '' || [...levels].some((ch) => !VALID_LEVELS.includes(ch))) {
+			invalid.push(entry)
+			continue
+		}
+
+		routes.push({
+			levels,
+			destination: parseInt(match[2], 10),
+			source: parseInt(match[3], 10),
+		})
+	}
+
+	return { routes, invalid }
+}
+
+/**
+ * @typedef {Object} ModuleSalvo
+ * @property {string} name - Salvo name, unique within the instance
+ * @property {{ levels: string, destination: number, source: number }[]} routes - Routes it sets
+ */
+
+/**
+ * Parses salvo definitions from the Module Salvos config field.
+ *
+ * One salvo per line: a name, ':', then its routes as for parseRouteList(),
+ * separated by ';'. Routes without levels are on the video level. A line
+ * that doesn't parse, or repeats an earlier salvo's name, is left out.
+ *
+ * @param {string} text - Salvo definitions
+ * @returns {{ salvos: ModuleSalvo[], invalid: string[] }} Parsed salvos, plus the lines that couldn't be parsed
+ *
+ * @example
+ * parseModuleSalvos('Studio A: VA1,5; VA2,6\nStudio B: 1,7')
+ * // Returns: { salvos: [{ name: 'Studio A', routes: [{ levels: 'VA', destination: 1, source: 5 }, ...] }, ...],
+ * //            invalid: [] }
+ */
+function parseModuleSalvos(text) {
+	const salvos = []
+	const invalid = []
+
+	for (const rawLine of String(text ?? '').split(/[\r\n]+/)) {
+		const line = rawLine.trim()
+		if (line === '') {
+			continue
+		}
+
+		const colon = line.indexOf(':')
+		const name = colon === -1 ? '' : line.slice(0, colon).trim()
+		const { routes, invalid: badRoutes } = parseRouteList(line.slice(colon + 1), 'V')
+
+		if (name === '' || routes.length === 0 || badRoutes.length > 0 || salvos.some((salvo) => salvo.name === name)) {
+			invalid.push(line)
+			continue
+		}
+
+		salvos.push({ name, routes })
+	}
+
+	return { salvos, invalid }
+}
+
+/**
+ * Highest source/destination ID a port range may name.
+ *
+ * @readonly
+ * @type {number}
+ */
+const MAX_PORT_ID = 4096
+
+/**
+ * Parses a port range list into sorted, de-duplicated IDs.
+ *
+ * Entries are separated by ',' or ';' and are either a single ID or an
+ * inclusive range (e.g. `1-64,501-540,600`).
+ *
+ * @param {string} text - Range list
+ * @returns {{ ids: number[], invalid: string[] }} Port IDs in ascending order, plus the entries that couldn't be parsed
+ *
+ * @example
+ * parsePortRanges('1-3, 10')
+ * // Returns: { ids: [1, 2, 3, 10], invalid: [] }
+ */
+function parsePortRanges(text) {
+	const ids = new Set()
+	const invalid = []
+
+	for (const rawEntry of String(text ?? '').split(/[,;]+/)) {
+		const entry = rawEntry.trim()
+		if (entry === '') {
+			continue
+		}
+
+		const match = entry.match(/^(\d+)(?:\s*-\s*(\d+))?$/)
+		const first = match ? parseInt(match[1], 10) : NaN
+		const last = match?.[2] !== undefined ? parseInt(match[2], 10) : first
+
+		if (!match || first < 1 || last < first || last > MAX_PORT_ID) {
+			invalid.push(entry)
+			continue
+		}
+
+		for (let id = first; id <= last; id++) {
+			ids.add(id)
+		}
+	}
+
+	return { ids: [...ids].sort((a, b) => a - b), invalid }
+}
+
+/**
+ * Parses a source-to-colour map.
+ *
+ * Entries are separated by ';' or new lines and pair a port range list (see
+ * parsePortRanges()) with a hex colour, e.g. `1-4=#CC0000; 9,12=#0066CC`.
+ * Colours are returned in Companion's numeric RGB form, as combineRgb() gives.
+ *
+ * @param {string} text - Colour map
+ * @returns {{ colors: Map<number, number>, invalid: string[] }} Colour per source ID, plus the entries that
+ *   couldn't be parsed
+ *
+ * @example
+ * parseSourceColors('1-2=#FF0000')
+ * // Returns: { colors: Map { 1 => 16711680, 2 => 16711680 }, invalid: [] }
+ */
+function parseSourceColors(text) {
+	const colors = new Map()
+	const invalid = []
+
+	for (const rawEntry of String(text ?? '').split(/[;\r\n]+/)) {
+		const entry = rawEntry.trim()
+		if (entry === '') {
+			continue
+		}
+
+		const match = entry.match(/^(.+?)\s*=\s*#?([0-9a-f]{6})$/i)
+		const ranges = match ? parsePortRanges(match[1]) : null
+
+		if (!match || ranges.ids.length === 0 || ranges.invalid.length > 0) {
+			invalid.push(entry)
+			continue
+		}
+
+		for (const id of ranges.ids) {
+			colors.set(id, parseInt(match[2], 16))
+		}
+	}
+
+	return { colors, invalid }
+}
+
 module.exports = {
 	VALID_LEVELS,
 	XptLevelSystem,
 	XPT_LEVEL_SETS,
 	DEFAULT_XPT_LEVEL_SYSTEM,
 	XPT_LEVEL_CHOICES,
+	ConnectionMode,
+	CONNECTION_MODE_CHOICES,
+	ControllerRole,
+	CONTROLLER_ROLE_CHOICES,
+	DEFAULT_FAILOVER_DELAY,
+	DEFAULT_WATCHDOG_MISSED_REPLIES,
+	DEFAULT_RECONNECT_MAX_DELAY,
+	LockOwner,
+	LOCK_OWNER_CHOICES,
+	SimulatorLockMode,
+	SIMULATOR_LOCK_MODE_CHOICES,
+	CharacterEncoding,
+	DEFAULT_CHARACTER_ENCODING,
+	CHARACTER_ENCODING_CHOICES,
+	DEFAULT_NAME_REFRESH_INTERVAL,
 	parseLevelsConfig,
 	getXptVariableLevels,
+	getConfiguredLevels,
+	parseRouteList,
+	parseModuleSalvos,
+	MAX_PORT_ID,
+	parsePortRanges,
+	parseSourceColors,
 
 	/**
 	 * Human-readable lock labels for Companion variables / router middleware.
@@ -157,4 +542,18 @@ module.exports = {
 	isDestinationLocked(status) {
 		return typeof status === 'number' && status !== 0
 	},
+
+	/**
+	 * Who holds a destination lock.
+	 *
+	 * @param {number|undefined} status - Quartz .BA status
+	 * @param {number} [panelAddress=0] - Our panel address as reported in .BA (1-254), 0 if we have none
+	 * @returns {string} One of LockOwner
+	 */
+	getLockOwner(status, panelAddress = 0) {
+		if (typeof status !== 'number' || status === 0) return LockOwner.NONE
+		if (status === 255) return LockOwner.UNPROTECTED
+		if (status === panelAddress) return LockOwner.US
+		return LockOwner.OTHER
+	},
 }
@@ -5,7 +5,17 @@
  */
 
 const { combineRgb } = require('@companion-module/base')
-const { isDestinationLocked, getXptVariableLevels } = require('./constants')
+const {
+	isDestinationLocked,
+	getLockOwner,
+	LockOwner,
+	LOCK_OWNER_CHOICES,
+	VALID_LEVELS,
+	parseSourceColors,
+	ControllerRole,
+	CONTROLLER_ROLE_CHOICES,
+} = require('./constants')
+const { snapshotMatches } = require('./snapshots')
 
 module.exports = {
 	/**
@@ -20,14 +30,51 @@ module.exports = {
 		const colorWhite = combineRgb(255, 255, 255)
 		const colorRed = combineRgb(255, 0, 0)
 
-		// True if `source` is routed to `destination` on 'V' or any level exposed as an xpt_* variable.
-		// 'V' is checked unconditionally because index.js._requestCrosspoints always polls it,
-		// regardless of the 'Expose Crosspoint Variables' option.
-		const isSourceRoutedToDestination = (source, destination) => {
-			const levels = new Set(['V', ...getXptVariableLevels(self.config)])
-			return [...levels].some((level) => self.getRoutedSource(level, destination) === source)
+		// Level letters a feedback's Levels option lists, in order, without repeats
+		const parseListedLevels = (levels) =>
+			[...new Set(String(levels ?? '').toUpperCase())].filter((ch) => VALID_LEVELS.includes(ch))
+
+		// True if `source` is routed to `destination` on the feedback's levels. Blank levels
+		// mean every tracked level. Match 'any' (the default, and the behaviour before the
+		// option existed) needs one listed level, 'all' every listed level, and 'exact'
+		// every listed level and no other tracked level.
+		const isSourceRoutedToDestination = (source, destination, { levels = '', match = 'any' } = {}) => {
+			const tracked = self.getPolledLevels()
+			const listed = parseListedLevels(levels)
+			const wanted = listed.length > 0 ? listed : tracked
+			const isRouted = (level) => self.getRoutedSource(level, destination) === source
+
+			if (match === 'all') {
+				return wanted.every(isRouted)
+			}
+			if (match === 'exact') {
+				return wanted.every(isRouted) && !tracked.some((level) => !wanted.includes(level) && isRouted(level))
+			}
+			return wanted.some(isRouted)
 		}
 
+		const levelMatchOptions = [
+			{
+				type: 'textinput',
+				id: 'levels',
+				label: 'Levels',
+				default: '',
+				tooltip:
+					'Level letters to check, e.g. VAB; blank for the video level and every crosspoint variable level. Levels listed here are polled even without crosspoint variables',
+			},
+			{
+				type: 'dropdown',
+				id: 'match',
+				label: 'Match',
+				default: 'any',
+				choices: [
+					{ id: 'any', label: 'Any of the levels' },
+					{ id: 'all', label: 'All of the levels' },
+					{ id: 'exact', label: 'Exactly these levels' },
+				],
+			},
+		]
+
 		feedbacks['destination_locked'] = {
 			type: 'boolean',
 			name: 'Destination Locked',
@@ -51,6 +98,161 @@ module.exports = {
 			},
 		}
 
+		feedbacks['destination_source'] = {
+			type: 'advanced',
+			name: 'Destination Source Display',
+			description:
+				'Shows the source routed to the destination on a level, coloured by source, with a lock indicator',
+			options: [
+				{
+					type: 'dropdown',
+					id: 'dst',
+					label: 'Destination',
+					default: self.CHOICES_DESTINATIONS[0].id,
+					choices: self.CHOICES_DESTINATIONS,
+				},
+				{
+					type: 'dropdown',
+					id: 'level',
+					label: 'Level',
+					default: 'V',
+					choices: self.CHOICES_LEVELS,
+				},
+				{
+					type: 'dropdown',
+					id: 'show',
+					label: 'Show Source',
+					default: 'name',
+					choices: [
+						{ id: 'name', label: 'Name' },
+						{ id: 'id', label: 'ID' },
+						{ id: 'both', label: 'ID and name' },
+					],
+				},
+				{
+					type: 'checkbox',
+					id: 'show_destination',
+					label: 'Show destination name above',
+					default: true,
+				},
+				{
+					type: 'textinput',
+					id: 'colors',
+					label: 'Source Colours',
+					default: '',
+					tooltip:
+						'Background per source, e.g. 1-4=#CC0000; 9,12=#0066CC. Unlisted sources keep the button colour.',
+				},
+				{
+					type: 'textinput',
+					id: 'lock_indicator',
+					label: 'Lock Indicator',
+					default: '🔒',
+					tooltip: 'Added to the text while the destination is locked; blank for none',
+				},
+				{
+					type: 'colorpicker',
+					id: 'unknown_bgcolor',
+					label: 'Unknown / Unrouted Background',
+					default: combineRgb(64, 64, 64),
+				},
+			],
+			callback: (feedback) => {
+				const { dst, level, show, show_destination, colors, lock_indicator, unknown_bgcolor } = feedback.options
+				const dest = parseInt(dst, 10)
+				const source = self.getRoutedSource(level, dest)
+
+				// Unknown until the router reports the crosspoint; 0 is parked (nothing routed)
+				let sourceText
+				if (source === undefined) {
+					sourceText = '?'
+				} else if (source === 0) {
+					sourceText = '—'
+				} else {
+					const name = self._getSourceLabel(source)
+					if (show === 'id' || name === '') {
+						sourceText = String(source)
+					} else {
+						sourceText = show === 'both' ? `${source}: ${name}` : name
+					}
+				}
+
+				const lines = [sourceText]
+				if (show_destination) {
+					lines.unshift(self.getVariableValue(`dst_${dest}_name`) || `Dest ${dest}`)
+				}
+				if (lock_indicator && isDestinationLocked(self.locks?.[dest])) {
+					lines.push(lock_indicator)
+				}
+
+				const style = { text: lines.join('\\n') }
+				if (!source) {
+					style.bgcolor = unknown_bgcolor
+				} else {
+					const color = parseSourceColors(colors).colors.get(source)
+					if (color !== undefined) {
+						style.bgcolor = color
+					}
+				}
+
+				return style
+			},
+		}
+
+		feedbacks['destination_breakaway'] = {
+			type: 'boolean',
+			name: 'Destination Broken Away',
+			description: 'True when any level of the destination is routed from a different source than video',
+			defaultStyle: {
+				color: combineRgb(0, 0, 0),
+				bgcolor: combineRgb(255, 153, 0),
+			},
+			options: [
+				{
+					type: 'dropdown',
+					id: 'dst',
+					label: 'Destination',
+					default: self.CHOICES_DESTINATIONS[0].id,
+					choices: self.CHOICES_DESTINATIONS,
+				},
+			],
+			callback: (feedback) => {
+				return self.getBreakawayLevels(feedback.options.dst).length > 0
+			},
+		}
+
+		feedbacks['destination_lock_owner'] = {
+			type: 'boolean',
+			name: 'Destination Lock Owner',
+			description: 'True when the destination is locked by us, by another panel, or with an unprotected lock',
+			defaultStyle: {
+				color: colorWhite,
+				bgcolor: combineRgb(255, 102, 0),
+			},
+			options: [
+				{
+					type: 'dropdown',
+					id: 'dst',
+					label: 'Destination',
+					default: self.CHOICES_DESTINATIONS[0].id,
+					choices: self.CHOICES_DESTINATIONS,
+				},
+				{
+					type: 'dropdown',
+					id: 'owner',
+					label: 'Locked By',
+					default: LockOwner.OTHER,
+					choices: LOCK_OWNER_CHOICES,
+				},
+			],
+			callback: (feedback) => {
+				const dest = parseInt(feedback.options.dst, 10)
+				return (
+					getLockOwner(self.locks?.[dest], Number(self.config.panel_address) || 0) === feedback.options.owner
+				)
+			},
+		}
+
 		feedbacks['selected_destination'] = {
 			type: 'boolean',
 			name: 'Selected Destination',
@@ -95,10 +297,32 @@ module.exports = {
 			},
 		}
 
+		feedbacks['selected_level'] = {
+			type: 'boolean',
+			name: 'Selected Level',
+			description: 'True when the level is selected for Take',
+			defaultStyle: {
+				color: colorWhite,
+				bgcolor: combineRgb(0, 102, 204),
+			},
+			options: [
+				{
+					type: 'dropdown',
+					id: 'level',
+					label: 'Level',
+					default: 'V',
+					choices: self.CHOICES_LEVELS,
+				},
+			],
+			callback: (feedback) => {
+				return self.getSelectedLevels().includes(feedback.options.level)
+			},
+		}
+
 		feedbacks['source_routed'] = {
 			type: 'boolean',
 			name: 'Source Routed to Destination',
-			description: 'True when the source is routed to the destination on any tracked level',
+			description: 'True when the source is routed to the destination on any, all or exactly the chosen levels',
 			defaultStyle: {
 				color: combineRgb(0, 0, 0),
 				bgcolor: combineRgb(255, 255, 0),
@@ -118,17 +342,21 @@ module.exports = {
 					default: self.CHOICES_DESTINATIONS[0].id,
 					choices: self.CHOICES_DESTINATIONS,
 				},
+				...levelMatchOptions,
 			],
 			callback: (feedback) => {
 				const src = parseInt(feedback.options.src, 10)
-				return isSourceRoutedToDestination(src, feedback.options.dst)
+				return isSourceRoutedToDestination(src, feedback.options.dst, feedback.options)
 			},
+			subscribe: (feedback) => self._watchFeedbackLevels(feedback.id, parseListedLevels(feedback.options.levels)),
+			unsubscribe: (feedback) => self._unwatchFeedbackLevels(feedback.id),
 		}
 
 		feedbacks['source_routed_to_selected_destination'] = {
 			type: 'boolean',
 			name: 'Source Routed to Selected Destination',
-			description: 'True when the source is routed to the currently selected destination for Take',
+			description:
+				'True when the source is routed to the currently selected destination for Take on any, all or exactly the chosen levels',
 			defaultStyle: {
 				color: combineRgb(0, 0, 0),
 				bgcolor: combineRgb(255, 255, 0),
@@ -141,6 +369,7 @@ module.exports = {
 					default: self.CHOICES_SOURCES[0].id,
 					choices: self.CHOICES_SOURCES,
 				},
+				...levelMatchOptions,
 			],
 			callback: (feedback) => {
 				const dst = self.getVariableValue('dst')
@@ -148,7 +377,166 @@ module.exports = {
 					return false
 				}
 				const src = parseInt(feedback.options.src, 10)
-				return isSourceRoutedToDestination(src, dst)
+				return isSourceRoutedToDestination(src, dst, feedback.options)
+			},
+			subscribe: (feedback) => self._watchFeedbackLevels(feedback.id, parseListedLevels(feedback.options.levels)),
+			unsubscribe: (feedback) => self._unwatchFeedbackLevels(feedback.id),
+		}
+
+		feedbacks['route_pending'] = {
+			type: 'boolean',
+			name: 'Route Pending',
+			description: 'True while a verified route to the destination waits for the router to confirm it',
+			defaultStyle: {
+				color: combineRgb(0, 0, 0),
+				bgcolor: combineRgb(255, 255, 0),
+			},
+			options: [
+				{
+					type: 'dropdown',
+					id: 'dst',
+					label: 'Destination',
+					default: self.CHOICES_DESTINATIONS[0].id,
+					choices: self.CHOICES_DESTINATIONS,
+				},
+			],
+			callback: (feedback) => {
+				return self.isRoutePending(feedback.options.dst)
+			},
+		}
+
+		feedbacks['queue_count'] = {
+			type: 'boolean',
+			name: 'Queued Routes Count',
+			description: "True when the number of routes in the router's queue matches the comparison",
+			defaultStyle: {
+				color: combineRgb(0, 0, 0),
+				bgcolor: combineRgb(255, 153, 0),
+			},
+			options: [
+				{
+					type: 'dropdown',
+					id: 'comparison',
+					label: 'Comparison',
+					default: 'gt',
+					choices: [
+						{ id: 'eq', label: '=' },
+						{ id: 'gt', label: '>' },
+						{ id: 'lt', label: '<' },
+					],
+				},
+				{
+					type: 'number',
+					id: 'count',
+					label: 'Count',
+					default: 0,
+					min: 0,
+					max: 4096,
+				},
+			],
+			callback: (feedback) => {
+				const queued = self.queuedRoutes.length
+				const count = feedback.options.count
+				switch (feedback.options.comparison) {
+					case 'eq':
+						return queued === count
+					case 'lt':
+						return queued < count
+					default:
+						return queued > count
+				}
+			},
+		}
+
+		feedbacks['destination_queued'] = {
+			type: 'boolean',
+			name: 'Destination Queued',
+			description: "True when the destination has a route waiting in the router's queue",
+			defaultStyle: {
+				color: combineRgb(0, 0, 0),
+				bgcolor: combineRgb(255, 153, 0),
+			},
+			options: [
+				{
+					type: 'dropdown',
+					id: 'dst',
+					label: 'Destination',
+					default: self.CHOICES_DESTINATIONS[0].id,
+					choices: self.CHOICES_DESTINATIONS,
+				},
+			],
+			callback: (feedback) => {
+				return self.queuedRoutes.some((route) => String(route.destination) === String(feedback.options.dst))
+			},
+		}
+
+		feedbacks['snapshot_matches'] = {
+			type: 'boolean',
+			name: 'Snapshot Matches',
+			description: 'True when every crosspoint in the snapshot is routed as it was captured',
+			defaultStyle: {
+				color: colorWhite,
+				bgcolor: combineRgb(0, 153, 0),
+			},
+			options: [
+				{
+					type: 'dropdown',
+					id: 'snapshot',
+					label: 'Snapshot',
+					default: self.CHOICES_SNAPSHOTS[0].id,
+					choices: self.CHOICES_SNAPSHOTS,
+				},
+			],
+			callback: (feedback) => {
+				const snapshot = self.getSnapshot(feedback.options.snapshot)
+				return (
+					snapshot !== undefined &&
+					snapshotMatches(snapshot, (level, destination) => self.getRoutedSource(level, destination))
+				)
+			},
+		}
+
+		feedbacks['module_salvo_live'] = {
+			type: 'boolean',
+			name: 'Module Salvo Live',
+			description: 'True when every crosspoint of a module salvo is currently routed as the salvo sets it',
+			defaultStyle: {
+				color: colorWhite,
+				bgcolor: combineRgb(200, 0, 0),
+			},
+			options: [
+				{
+					type: 'dropdown',
+					id: 'salvo',
+					label: 'Salvo',
+					default: self.CHOICES_MODULE_SALVOS[0].id,
+					choices: self.CHOICES_MODULE_SALVOS,
+				},
+			],
+			callback: (feedback) => {
+				return self.isModuleSalvoLive(feedback.options.salvo)
+			},
+		}
+
+		feedbacks['active_controller'] = {
+			type: 'boolean',
+			name: 'Active Controller',
+			description: 'True when the module is using the chosen controller of a redundant pair',
+			defaultStyle: {
+				color: colorWhite,
+				bgcolor: combineRgb(0, 153, 0),
+			},
+			options: [
+				{
+					type: 'dropdown',
+					id: 'controller',
+					label: 'Controller',
+					default: ControllerRole.PRIMARY,
+					choices: CONTROLLER_ROLE_CHOICES,
+				},
+			],
+			callback: (feedback) => {
+				return self.activeController === feedback.options.controller
 			},
 		}
 
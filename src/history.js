@@ -0,0 +1,305 @@
+/**
+ * @fileoverview Route History (Undo/Redo) for Evertz Quartz Module
+ *
+ * Every crosspoint change the router reports (.U) — from Companion, panels or
+ * other controllers — is kept per destination, with the source each level had
+ * before. Undo puts those sources back; redo puts the undone change back.
+ *
+ * Undo and redo go through the normal route path, so the router reports the
+ * restoring route with a .U like any other. Those reports are expected (see
+ * expect()) and don't become new history entries, which would otherwise make
+ * a second undo undo the first.
+ *
+ * @module history
+ * @author Companion Module Contributors
+ * @see {@link https://github.com/bitfocus/companion-module-evertz-quartz}
+ */
+
+/**
+ * Default number of route changes kept per destination.
+ * @type {number}
+ */
+const DEFAULT_HISTORY_DEPTH = 20
+
+/**
+ * @typedef {Object} LevelChange
+ * @property {string} level - Level character
+ * @property {number} from - Source before the change
+ * @property {number} to - Source after the change
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {number} seq - Order the change was last made, undone or redone in, across destinations
+ * @property {number} destination - Destination ID
+ * @property {LevelChange[]} changes - Levels the change switched
+ */
+
+/**
+ * Per-destination route history with undo and redo
+ *
+ * @example
+ * const history = new RouteHistory({ depth: 20 })
+ * history.record(1, [{ level: 'V', from: 3, to: 5 }])
+ * const entry = history.peekUndo(1)   // restore source 3 on V, then:
+ * history.markUndone(entry)
+ */
+class RouteHistory {
+	/**
+	 * Creates a new RouteHistory instance
+	 *
+	 * @param {Object} [options]
+	 * @param {number} [options.depth=DEFAULT_HISTORY_DEPTH] - Changes kept per destination; 0 keeps none
+	 */
+	constructor({ depth = DEFAULT_HISTORY_DEPTH } = {}) {
+		/** @type {number} @private */
+		this._depth = depth
+
+		/** @type {number} @private */
+		this._seq = 0
+
+		/**
+		 * Changes that can be undone, oldest first, per destination
+		 * @type {Map<number, HistoryEntry[]>}
+		 * @private
+		 */
+		this._undo = new Map()
+
+		/**
+		 * Undone changes that can be redone, most recently undone last, per destination
+		 * @type {Map<number, HistoryEntry[]>}
+		 * @private
+		 */
+		this._redo = new Map()
+
+		/**
+		 * Crosspoints an undo or redo is setting, keyed `{destination}:{level}`,
+		 * whose .U shouldn't be recorded
+		 * @type {Map<string, number>}
+		 * @private
+		 */
+		this._expected = new Map()
+	}
+
+	/**
+	 * Changes kept per destination
+	 * @type {number}
+	 */
+	get depth() {
+		return this._depth
+	}
+
+	set depth(depth) {
+		this._depth = Math.max(0, depth)
+		for (const stacks of [this._undo, this._redo]) {
+			for (const [destination, entries] of stacks) {
+				this._trim(stacks, destination, entries)
+			}
+		}
+	}
+
+	/**
+	 * Records a crosspoint change the router reported
+	 *
+	 * Levels an undo or redo is expecting to land are left out. A new change
+	 * to a destination discards what could be redone on it.
+	 *
+	 * @param {number} destination - Destination ID
+	 * @param {LevelChange[]} changes - Levels whose source changed
+	 * @returns {HistoryEntry|null} The new entry, or null when nothing was recorded
+	 */
+	record(destination, changes) {
+		const unexpected = changes.filter(({ level, to }) => {
+			const key = `${destination}:${level}`
+			if (!this._expected.has(key)) {
+				return true
+			}
+			// Landing elsewhere (e.g. another panel got there first) is a change of its own
+			const expected = this._expected.get(key)
+			this._expected.delete(key)
+			return expected !== to
+		})
+
+		if (unexpected.length === 0 || this._depth === 0) {
+			return null
+		}
+
+		const entry = { seq: ++this._seq, destination, changes: unexpected }
+		this._push(this._undo, entry)
+		this._redo.delete(destination)
+
+		return entry
+	}
+
+	/**
+	 * The change undo would revert
+	 *
+	 * @param {number} [destination] - Destination ID; omit for the latest change to any destination
+	 * @returns {HistoryEntry|null} The change, or null when there is nothing to undo
+	 */
+	peekUndo(destination) {
+		return this._peek(this._undo, destination)
+	}
+
+	/**
+	 * The change redo would put back
+	 *
+	 * @param {number} [destination] - Destination ID; omit for the latest undo on any destination
+	 * @returns {HistoryEntry|null} The change, or null when there is nothing to redo
+	 */
+	peekRedo(destination) {
+		return this._peek(this._redo, destination)
+	}
+
+	/**
+	 * Marks the crosspoints an undo or redo of an entry is about to set, so
+	 * the router's reports of them aren't recorded as new changes
+	 *
+	 * @param {HistoryEntry} entry - Entry being undone or redone
+	 * @param {boolean} undo - True for undo (restores `from`), false for redo (restores `to`)
+	 * @returns {void}
+	 */
+	expect(entry, undo) {
+		for (const { level, from, to } of entry.changes) {
+			this._expected.set(`${entry.destination}:${level}`, undo ? from : to)
+		}
+	}
+
+	/**
+	 * Forgets what an undo or redo expected of levels the router reported
+	 * without a change of source
+	 *
+	 * An undo whose target crosspoint already holds the source (e.g. a panel
+	 * put it back first) is reported unchanged and never reaches record().
+	 * Left in place, its expectation would swallow the next real change to
+	 * that source.
+	 *
+	 * @param {number} destination - Destination ID
+	 * @param {string[]} levels - Levels reported with the source they already had
+	 * @returns {void}
+	 */
+	settleUnchanged(destination, levels) {
+		for (const level of levels) {
+			this._expected.delete(`${destination}:${level}`)
+		}
+	}
+
+	/**
+	 * Forgets what expect() marked for an entry, e.g. when its route failed
+	 *
+	 * @param {HistoryEntry} entry - Entry whose undo or redo didn't go through
+	 * @returns {void}
+	 */
+	cancelExpect(entry) {
+		for (const { level } of entry.changes) {
+			this._expected.delete(`${entry.destination}:${level}`)
+		}
+	}
+
+	/**
+	 * Moves an undone entry over to redo
+	 *
+	 * @param {HistoryEntry} entry - Entry that was undone
+	 * @returns {void}
+	 */
+	markUndone(entry) {
+		this._remove(this._undo, entry)
+		entry.seq = ++this._seq
+		this._push(this._redo, entry)
+	}
+
+	/**
+	 * Moves a redone entry back to undo
+	 *
+	 * @param {HistoryEntry} entry - Entry that was redone
+	 * @returns {void}
+	 */
+	markRedone(entry) {
+		this._remove(this._redo, entry)
+		entry.seq = ++this._seq
+		this._push(this._undo, entry)
+	}
+
+	/**
+	 * Forgets every change
+	 *
+	 * @returns {void}
+	 */
+	clear() {
+		this._undo.clear()
+		this._redo.clear()
+		this._expected.clear()
+	}
+
+	/**
+	 * @private
+	 * @param {Map<number, HistoryEntry[]>} stacks - Undo or redo stacks
+	 * @param {number} [destination] - Destination ID; omit for the latest entry of any destination
+	 * @returns {HistoryEntry|null}
+	 */
+	_peek(stacks, destination) {
+		if (destination !== undefined) {
+			return stacks.get(destination)?.at(-1) ?? null
+		}
+
+		let latest = null
+		for (const entries of stacks.values()) {
+			const top = entries.at(-1)
+			if (top && (!latest || top.seq > latest.seq)) {
+				latest = top
+			}
+		}
+		return latest
+	}
+
+	/**
+	 * @private
+	 * @param {Map<number, HistoryEntry[]>} stacks - Undo or redo stacks
+	 * @param {HistoryEntry} entry - Entry to add on top of its destination's stack
+	 * @returns {void}
+	 */
+	_push(stacks, entry) {
+		const entries = stacks.get(entry.destination) ?? []
+		entries.push(entry)
+		stacks.set(entry.destination, entries)
+		this._trim(stacks, entry.destination, entries)
+	}
+
+	/**
+	 * @private
+	 * @param {Map<number, HistoryEntry[]>} stacks - Undo or redo stacks
+	 * @param {HistoryEntry} entry - Entry to take off its destination's stack
+	 * @returns {void}
+	 */
+	_remove(stacks, entry) {
+		const entries = stacks.get(entry.destination)?.filter((e) => e !== entry) ?? []
+		if (entries.length === 0) {
+			stacks.delete(entry.destination)
+		} else {
+			stacks.set(entry.destination, entries)
+		}
+	}
+
+	/**
+	 * Drops the oldest entries beyond the depth
+	 *
+	 * @private
+	 * @param {Map<number, HistoryEntry[]>} stacks - Undo or redo stacks
+	 * @param {number} destination - Destination ID
+	 * @param {HistoryEntry[]} entries - The destination's stack
+	 * @returns {void}
+	 */
+	_trim(stacks, destination, entries) {
+		if (entries.length > this._depth) {
+			entries.splice(0, entries.length - this._depth)
+		}
+		if (entries.length === 0) {
+			stacks.delete(destination)
+		}
+	}
+}
+
+module.exports = {
+	RouteHistory,
+	DEFAULT_HISTORY_DEPTH,
+}
@@ -0,0 +1,242 @@
+/**
+ * @fileoverview MAGNUM Salvo (Preset) List for Evertz Quartz Module
+ *
+ * MAGNUM control systems list their salvos — "presets" in the MAGNUM web UI —
+ * over HTTP, not over Quartz:
+ *
+ *   http://[MAGNUM_IP]/magnum/controls/listPreset
+ *
+ * This module fetches that list and turns it into ID/name pairs for the salvo
+ * dropdown, `salvo_{id}_name` variables and salvo presets. The page's format
+ * isn't documented, so JSON, an HTML table and plain text with one
+ * `{id} {name}` pair per line (handy for a stand-in server when testing) are
+ * all accepted.
+ *
+ * @module magnum
+ * @author Companion Module Contributors
+ * @see {@link https://github.com/bitfocus/companion-module-evertz-quartz}
+ */
+
+/**
+ * Path of the preset list on the MAGNUM host.
+ * @type {string}
+ */
+const MAGNUM_PRESET_LIST_PATH = '/magnum/controls/listPreset'
+
+/**
+ * How long the preset list may take to arrive (ms).
+ * @type {number}
+ */
+const MAGNUM_FETCH_TIMEOUT = 5000
+
+/**
+ * Keys a JSON preset entry may keep its ID under, in order of preference.
+ * @type {string[]}
+ */
+const ID_KEYS = ['id', 'presetId', 'preset_id', 'number', 'num']
+
+/**
+ * Keys a JSON preset entry may keep its name under, in order of preference.
+ * @type {string[]}
+ */
+const NAME_KEYS = ['name', 'presetName', 'preset_name', 'label', 'title']
+
+/**
+ * @typedef {Object} MagnumPreset
+ * @property {string} id - Salvo ID, as fired with .F{id}
+ * @property {string} name - Salvo name
+ */
+
+/**
+ * Builds the preset list URL for a MAGNUM host
+ *
+ * @param {string} host - Host name or address, optionally with a port (e.g. `10.0.0.5`, `127.0.0.1:8080`),
+ *   or a full http(s) base URL
+ * @returns {string} Preset list URL
+ *
+ * @example
+ * buildPresetListUrl('10.0.0.5')
+ * // Returns: 'http://10.0.0.5/magnum/controls/listPreset'
+ */
+function buildPresetListUrl(host) {
+	const base = String(host).trim().replace(/\/+$/, '')
+	return `${/^https?:\/\//i.test(base) ? base : `http://${base}`}${MAGNUM_PRESET_LIST_PATH}`
+}
+
+/**
+ * Adds a preset when its ID is a salvo number and it hasn't been seen yet
+ *
+ * @param {MagnumPreset[]} presets - Presets so far
+ * @param {*} id - Preset ID
+ * @param {*} name - Preset name
+ * @returns {void}
+ */
+function addPreset(presets, id, name) {
+	const presetId = String(id ?? '').trim()
+	if (!/^\d+$/.test(presetId) || presets.some((preset) => preset.id === presetId)) {
+		return
+	}
+
+	presets.push({ id: presetId, name: String(name ?? '').trim() || `Salvo ${presetId}` })
+}
+
+/**
+ * Collects presets from a parsed JSON body
+ *
+ * Accepts an array of entries, an object holding such an array (under any
+ * key, e.g. `{ "presets": [...] }`), or an object mapping IDs to names.
+ *
+ * @param {*} json - Parsed body
+ * @returns {MagnumPreset[]} Presets, in list order
+ */
+function presetsFromJson(json) {
+	const presets = []
+	const list = Array.isArray(json) ? json : Object.values(json ?? {}).find(Array.isArray)
+
+	if (list) {
+		for (const entry of list) {
+			const id = ID_KEYS.map((key) => entry?.[key]).find((value) => value !== undefined)
+			const name = NAME_KEYS.map((key) => entry?.[key]).find((value) => value !== undefined)
+			addPreset(presets, id, name)
+		}
+	} else if (json && typeof json === 'object') {
+		for (const [id, name] of Object.entries(json)) {
+			addPreset(presets, id, typeof name === 'object' ? NAME_KEYS.map((key) => name?.[key]).find(Boolean) : name)
+		}
+	}
+
+	return presets
+}
+
+/**
+ * Strips tags from an HTML fragment and decodes the common entities
+ *
+ * @param {string} html - Fragment
+ * @returns {string} Text
+ */
+function htmlToText(html) {
+	return html
+		.replace(/<[^>]*>/g, '')
+		.replace(/&lt;/g, '<')
+		.replace(/&gt;/g, '>')
+		.replace(/&quot;/g, '"')
+		.replace(/&#39;/g, "'")
+		.replace(/&nbsp;/g, ' ')
+		.replace(/&amp;/g, '&')
+		.trim()
+}
+
+/**
+ * Collects presets from the rows of an HTML table
+ *
+ * Only `<tr>` rows are read, with the ID in the first cell and the name in
+ * the second, so the rest of the page (headers, footers, messages) can't
+ * turn into salvos.
+ *
+ * @param {string} html - Body
+ * @returns {MagnumPreset[]} Presets, in list order
+ * @throws {Error} When the page has no table rows, e.g. a login or error page
+ */
+function presetsFromHtml(html) {
+	const rows = html.match(/<tr[\s>][\s\S]*?(?=<tr[\s>]|<\/table>|$)/gi) ?? []
+	if (rows.length === 0) {
+		throw new Error('no preset list in response')
+	}
+
+	const presets = []
+	for (const row of rows) {
+		const cells = [...row.matchAll(/<t[dh][^>]*>([\s\S]*?)(?=<\/?t[dhr][\s>]|<\/table>|$)/gi)].map((cell) =>
+			htmlToText(cell[1]),
+		)
+		addPreset(presets, cells[0], cells[1])
+	}
+
+	return presets
+}
+
+/**
+ * Collects presets from a plain-text body
+ *
+ * A line like `3 Studio A` (or `3: Studio A`, `3,Studio A`) gives an ID and
+ * a name.
+ *
+ * @param {string} text - Body
+ * @returns {MagnumPreset[]} Presets, in list order
+ */
+function presetsFromText(text) {
+	const presets = []
+
+	for (const line of text.split(/[\r\n]+/)) {
+		const match = line.trim().match(/^(\d+)\s*(?:[\t:,;=|-]\s*|\s+)(.+)$/)
+		if (match) {
+			addPreset(presets, match[1], match[2])
+		}
+	}
+
+	return presets
+}
+
+/**
+ * Parses the MAGNUM preset list
+ *
+ * Entries without a numeric ID are skipped; repeated IDs keep the first name.
+ * An HTML body is read for table rows only.
+ *
+ * @param {string} body - Response body (JSON, HTML or plain text)
+ * @returns {MagnumPreset[]} Presets, in list order
+ * @throws {Error} When the body is HTML without a table
+ *
+ * @example
+ * parsePresetList('[{"id":1,"name":"Studio A"},{"id":2,"name":"Studio B"}]')
+ * // Returns: [{ id: '1', name: 'Studio A' }, { id: '2', name: 'Studio B' }]
+ */
+function parsePresetList(body) {
+	const text = String(body ?? '')
+
+	let json
+	try {
+		json = JSON.parse(text)
+	} catch {
+		return /<[a-z!][^>]*>/i.test(text) ? presetsFromHtml(text) : presetsFromText(text)
+	}
+
+	return presetsFromJson(json)
+}
+
+/**
+ * Fetches and parses the preset list from a MAGNUM host
+ *
+ * Credentials, when given, are sent with HTTP basic authentication.
+ * Rejects when the host can't be reached, doesn't answer in time,
+ * answers with an HTTP error or with a page that holds no preset list.
+ *
+ * @async
+ * @param {Object} options
+ * @param {string} options.host - MAGNUM host (see buildPresetListUrl())
+ * @param {string} [options.username] - User name; omit for no authentication
+ * @param {string} [options.password] - Password
+ * @param {number} [options.timeout=MAGNUM_FETCH_TIMEOUT] - How long to wait for the list (ms)
+ * @returns {Promise<MagnumPreset[]>} Presets, in list order
+ */
+async function fetchPresetList({ host, username, password, timeout = MAGNUM_FETCH_TIMEOUT }) {
+	const headers = {}
+	if (username) {
+		headers.Authorization = `Basic ${Buffer.from(`${username}:${password ?? ''}`).toString('base64')}`
+	}
+
+	const response = await fetch(buildPresetListUrl(host), { headers, signal: AbortSignal.timeout(timeout) })
+
+	if (!response.ok) {
+		throw new Error(`HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`)
+	}
+
+	return parsePresetList(await response.text())
+}
+
+module.exports = {
+	MAGNUM_PRESET_LIST_PATH,
+	MAGNUM_FETCH_TIMEOUT,
+	buildPresetListUrl,
+	parsePresetList,
+	fetchPresetList,
+}
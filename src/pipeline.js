@@ -0,0 +1,288 @@
+/**
+ * @fileoverview Command/Reply Correlation for Evertz Quartz Module
+ *
+ * The Quartz protocol has no request IDs: the router answers commands
+ * strictly in the order it receives them. This module keeps a FIFO of
+ * commands that are still waiting for a reply and matches each incoming
+ * reply against it, so every command settles with its own .A, .E or
+ * timeout.
+ *
+ * Only the oldest outstanding command is timed. Because the router works
+ * through commands one at a time, a command's timeout starts when the reply
+ * to the command ahead of it arrives, not when it was written to the socket —
+ * a long name read ahead of an action doesn't make the action time out.
+ *
+ * @module pipeline
+ * @author Companion Module Contributors
+ * @see {@link https://github.com/bitfocus/companion-module-evertz-quartz}
+ */
+
+const { MessageType, isReplyTo } = require('./quartz')
+
+/**
+ * How long the oldest outstanding command may wait for its reply, in milliseconds.
+ * @type {number}
+ */
+const COMMAND_REPLY_TIMEOUT = 2000
+
+/**
+ * Most commands kept waiting for a reply. When exceeded (e.g. polls piling up
+ * against a router that stopped answering), the oldest are given up on.
+ * @type {number}
+ */
+const MAX_PENDING_COMMANDS = 20000
+
+/**
+ * Outcome of a command sent through the pipeline
+ * @readonly
+ * @enum {string}
+ */
+const CommandStatus = {
+	/** The router answered with its normal reply (.A, name, lock status) */
+	OK: 'ok',
+	/** The router answered with .E */
+	ERROR: 'error',
+	/** No reply: timed out, overtaken by a later command's reply, or the connection dropped */
+	TIMEOUT: 'timeout',
+	/** The command never left the module (not connected) */
+	NOT_SENT: 'notSent',
+}
+
+/**
+ * @typedef {Object} CommandResult
+ * @property {string} command - Command as sent, without the '\r' terminator
+ * @property {string} status - One of CommandStatus
+ * @property {ParsedMessage} [reply] - The router's reply, for OK and ERROR
+ */
+
+/**
+ * @typedef {Object} PendingCommand
+ * @property {string} command - Command as sent, without the '\r' terminator
+ * @property {boolean} awaited - Whether a caller is waiting on the outcome
+ * @property {number} timeout - Reply timeout once this is the oldest command, in milliseconds
+ * @property {boolean} optional - Whether the controller may leave it unanswered (see onTimeout)
+ * @property {function(CommandResult): void} resolve - Settles the command's promise
+ */
+
+/**
+ * Describes a command result for log and error messages
+ *
+ * @param {CommandResult} result - Command result
+ * @returns {string} Human-readable outcome (e.g. 'router returned an error (.E)')
+ */
+function describeCommandResult(result) {
+	switch (result.status) {
+		case CommandStatus.OK:
+			return 'acknowledged'
+		case CommandStatus.ERROR:
+			return `router returned an error (${result.reply?.raw ?? '.E'})`
+		case CommandStatus.NOT_SENT:
+			return 'not connected'
+		default:
+			return 'no reply from router'
+	}
+}
+
+/**
+ * Outstanding command FIFO
+ *
+ * Commands are added as they are written to the socket; parsed messages are
+ * offered to handleMessage(), which settles the command they answer. Commands
+ * never reject — every outcome, including errors, resolves a CommandResult.
+ *
+ * @example
+ * const pipeline = new CommandPipeline()
+ * parser.on('message', (msg) => pipeline.handleMessage(msg))
+ *
+ * socket.send('.SV1,5\r')
+ * const result = await pipeline.add('.SV1,5', { awaited: true })
+ * // result.status === CommandStatus.OK once the router's .A arrives
+ */
+class CommandPipeline {
+	/**
+	 * Creates a new CommandPipeline instance
+	 *
+	 * @param {Object} [options]
+	 * @param {number} [options.timeout=COMMAND_REPLY_TIMEOUT] - Default reply timeout, in milliseconds
+	 * @param {function(PendingCommand): void} [options.onTimeout] - Called when the oldest command's reply
+	 *   timeout expires (not for commands overtaken by a later reply, or cleared)
+	 */
+	constructor({ timeout = COMMAND_REPLY_TIMEOUT, onTimeout = () => {} } = {}) {
+		/**
+		 * Default reply timeout, in milliseconds
+		 * @type {number}
+		 */
+		this.timeout = timeout
+
+		/**
+		 * @type {function(PendingCommand): void}
+		 * @private
+		 */
+		this._onTimeout = onTimeout
+
+		/**
+		 * Commands waiting for a reply, oldest first
+		 * @type {PendingCommand[]}
+		 * @private
+		 */
+		this._pending = []
+
+		/**
+		 * Timer for the oldest pending command
+		 * @type {NodeJS.Timeout|null}
+		 * @private
+		 */
+		this._timer = null
+	}
+
+	/**
+	 * Number of commands waiting for a reply
+	 * @type {number}
+	 */
+	get pendingCount() {
+		return this._pending.length
+	}
+
+	/**
+	 * Adds a command that has just been written to the socket
+	 *
+	 * @param {string} command - Command as sent, without the '\r' terminator
+	 * @param {Object} [options]
+	 * @param {boolean} [options.awaited=false] - Whether a caller is waiting on (and will report) the outcome
+	 * @param {number} [options.timeout] - Reply timeout for this command, in milliseconds
+	 * @param {boolean} [options.optional=false] - Whether the controller may leave it unanswered (e.g. a support probe)
+	 * @returns {Promise<CommandResult>} Settles when the command is answered or given up on
+	 */
+	add(command, { awaited = false, timeout = this.timeout, optional = false } = {}) {
+		return new Promise((resolve) => {
+			this._pending.push({ command, awaited, timeout, optional, resolve })
+
+			while (this._pending.length > MAX_PENDING_COMMANDS) {
+				this._settle(this._pending.shift(), CommandStatus.TIMEOUT)
+			}
+
+			if (this._timer === null) {
+				this._startTimer()
+			}
+		})
+	}
+
+	/**
+	 * Offers a parsed message to the pipeline
+	 *
+	 * Replies settle the oldest command they answer. Commands ahead of it were
+	 * skipped by the router (it answers in order) and settle as timed out.
+	 * .E and .BA are only matched against the oldest command: .E carries
+	 * nothing to match on, and .BA is also sent unsolicited when a panel
+	 * changes a lock.
+	 *
+	 * @param {ParsedMessage} message - Parsed message from QuartzParser
+	 * @returns {PendingCommand|null} The command the message answered, or null if it answered none
+	 */
+	handleMessage(message) {
+		if (this._pending.length === 0) {
+			return null
+		}
+
+		const headOnly = message.type === MessageType.ERROR || message.type === MessageType.LOCK_STATUS
+		const searchLength = headOnly ? 1 : this._pending.length
+
+		let index = -1
+		for (let i = 0; i < searchLength; i++) {
+			if (isReplyTo(this._pending[i].command, message)) {
+				index = i
+				break
+			}
+		}
+
+		if (index === -1) {
+			return null
+		}
+
+		const skipped = this._pending.splice(0, index)
+		const entry = this._pending.shift()
+
+		for (const skippedEntry of skipped) {
+			this._settle(skippedEntry, CommandStatus.TIMEOUT)
+		}
+
+		this._settle(entry, message.type === MessageType.ERROR ? CommandStatus.ERROR : CommandStatus.OK, message)
+		this._startTimer()
+
+		return entry
+	}
+
+	/**
+	 * Gives up on every pending command, e.g. when the connection drops
+	 *
+	 * @param {string} [status=CommandStatus.TIMEOUT] - Status to settle them with
+	 * @returns {void}
+	 */
+	clear(status = CommandStatus.TIMEOUT) {
+		this._stopTimer()
+
+		const pending = this._pending
+		this._pending = []
+
+		for (const entry of pending) {
+			this._settle(entry, status)
+		}
+	}
+
+	/**
+	 * (Re)starts the reply timer for the oldest pending command
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	_startTimer() {
+		this._stopTimer()
+
+		const head = this._pending[0]
+		if (!head) {
+			return
+		}
+
+		this._timer = setTimeout(() => {
+			this._timer = null
+			if (this._pending[0] === head) {
+				this._settle(this._pending.shift(), CommandStatus.TIMEOUT)
+				this._onTimeout(head)
+			}
+			this._startTimer()
+		}, head.timeout)
+	}
+
+	/**
+	 * Stops the reply timer
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	_stopTimer() {
+		if (this._timer) {
+			clearTimeout(this._timer)
+			this._timer = null
+		}
+	}
+
+	/**
+	 * Resolves a pending command's promise
+	 *
+	 * @private
+	 * @param {PendingCommand} entry - Pending command
+	 * @param {string} status - One of CommandStatus
+	 * @param {ParsedMessage} [reply] - The router's reply
+	 * @returns {void}
+	 */
+	_settle(entry, status, reply) {
+		entry.resolve({ command: entry.command, status, reply })
+	}
+}
+
+module.exports = {
+	CommandPipeline,
+	CommandStatus,
+	COMMAND_REPLY_TIMEOUT,
+	describeCommandResult,
+}
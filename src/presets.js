@@ -4,17 +4,22 @@
  * Builds ready-to-use buttons for the take workflow:
  *   - One "Select Source" button per source (Sources category)
  *   - One "Select Destination" button per destination (Destinations category)
- *   - One "Toggle Lock" button per destination (Locks category)
- *   - A single "Take" button (Take category)
+ *   - One "Toggle Lock" button per destination (Locks category), orange when
+ *     another panel holds the lock
+ *   - One "Level" select button per level of the level system (Levels category)
+ *   - "Take" and "Take Selected Levels" buttons (Take category)
+ *   - "Fire Queue" and "Clear Queue" buttons (Queue category)
  *
  * Rebuilt whenever CHOICES_SOURCES/CHOICES_DESTINATIONS change (source/destination
- * names arrive from the router), alongside initActions()/initFeedbacks().
+ * names arrive from the router), alongside initActions()/initFeedbacks(). The
+ * choice lists only hold ports in the configured ranges (see getDestinationIds()),
+ * so presets follow Destination/Source Ranges.
  *
  * @module presets
  */
 
 const { combineRgb } = require('@companion-module/base')
-const { parseLevelsConfig } = require('./constants')
+const { parseLevelsConfig, getConfiguredLevels, LockOwner } = require('./constants')
 
 module.exports = {
 	/**
@@ -32,6 +37,7 @@ module.exports = {
 		const colorGreen = combineRgb(0, 200, 0)
 		const colorBlue = combineRgb(0, 0, 200)
 		const colorYellow = combineRgb(200, 200, 0)
+		const colorOrange = combineRgb(255, 102, 0)
 
 		// Names haven't loaded from the router yet - nothing useful to build presets from
 		const hasSources = self.CHOICES_SOURCES[0].id !== '0'
@@ -137,6 +143,15 @@ module.exports = {
 								text: `Unlock\\n${destination.label}`,
 							},
 						},
+						{
+							feedbackId: 'destination_lock_owner',
+							options: { dst: destination.id, owner: LockOwner.OTHER },
+							style: {
+								color: colorWhite,
+								bgcolor: colorOrange,
+								text: `Locked\\n${destination.label}`,
+							},
+						},
 					],
 				}
 			}
@@ -163,6 +178,192 @@ module.exports = {
 			feedbacks: [],
 		}
 
+		presets['take_selected_levels'] = {
+			type: 'button',
+			category: 'Take',
+			name: 'Take Selected Levels',
+			style: {
+				text: `TAKE\\n$(${self.label}:selected_levels)`,
+				size: '18',
+				color: colorWhite,
+				bgcolor: colorRed,
+			},
+			steps: [
+				{
+					down: [{ actionId: 'take', options: { use_selected_levels: true } }],
+					up: [],
+				},
+			],
+			feedbacks: [],
+		}
+
+		for (const level of getConfiguredLevels(self.config)) {
+			presets[`select_level_${level}`] = {
+				type: 'button',
+				category: 'Levels',
+				name: `Select Level: ${self._getLevelLabel(level)}`,
+				style: {
+					text: self._getLevelLabel(level),
+					size: 'auto',
+					color: colorWhite,
+					bgcolor: colorBlack,
+				},
+				steps: [
+					{
+						down: [{ actionId: 'select_level', options: { level, mode: 'toggle' } }],
+						up: [],
+					},
+				],
+				feedbacks: [
+					{
+						feedbackId: 'selected_level',
+						options: { level },
+						style: {
+							color: colorWhite,
+							bgcolor: colorBlue,
+						},
+					},
+				],
+			}
+		}
+
+		presets['queue_fire'] = {
+			type: 'button',
+			category: 'Queue',
+			name: 'Fire Queue',
+			style: {
+				text: `FIRE\\n$(${self.label}:queue_count)`,
+				size: '18',
+				color: colorWhite,
+				bgcolor: colorBlack,
+			},
+			steps: [
+				{
+					down: [{ actionId: 'queue_fire', options: {} }],
+					up: [],
+				},
+			],
+			feedbacks: [
+				{
+					feedbackId: 'queue_count',
+					options: { comparison: 'gt', count: 0 },
+					style: {
+						color: colorWhite,
+						bgcolor: colorRed,
+					},
+				},
+			],
+		}
+
+		presets['queue_clear'] = {
+			type: 'button',
+			category: 'Queue',
+			name: 'Clear Queue',
+			style: {
+				text: 'CLEAR\\nQUEUE',
+				size: '14',
+				color: colorWhite,
+				bgcolor: colorBlack,
+			},
+			steps: [
+				{
+					down: [{ actionId: 'queue_clear', options: {} }],
+					up: [],
+				},
+			],
+			feedbacks: [
+				{
+					feedbackId: 'queue_count',
+					options: { comparison: 'gt', count: 0 },
+					style: {
+						color: colorBlack,
+						bgcolor: colorYellow,
+					},
+				},
+			],
+		}
+
+		for (const preset of self.magnumPresets) {
+			presets[`salvo_${preset.id}`] = {
+				type: 'button',
+				category: 'Salvos',
+				name: `Fire Salvo ${preset.id}: ${preset.name}`,
+				style: {
+					text: `$(${self.label}:salvo_${preset.id}_name)`,
+					size: 'auto',
+					color: colorWhite,
+					bgcolor: colorBlack,
+				},
+				steps: [
+					{
+						down: [{ actionId: 'fire_salvo', options: { salvo_list: preset.id, salvo: preset.id } }],
+						up: [],
+					},
+				],
+				feedbacks: [],
+			}
+		}
+
+		for (const salvo of self.moduleSalvos) {
+			presets[`module_salvo_${salvo.name}`] = {
+				type: 'button',
+				category: 'Module Salvos',
+				name: `Fire Module Salvo: ${salvo.name}`,
+				style: {
+					text: salvo.name,
+					size: 'auto',
+					color: colorWhite,
+					bgcolor: colorBlack,
+				},
+				steps: [
+					{
+						down: [{ actionId: 'fire_module_salvo', options: { salvo: salvo.name } }],
+						up: [],
+					},
+				],
+				feedbacks: [
+					{
+						feedbackId: 'module_salvo_live',
+						options: { salvo: salvo.name },
+						style: {
+							color: colorWhite,
+							bgcolor: colorRed,
+						},
+					},
+				],
+			}
+		}
+
+		for (const snapshot of self.getSnapshots()) {
+			presets[`snapshot_restore_${snapshot.name}`] = {
+				type: 'button',
+				category: 'Snapshots',
+				name: `Restore Snapshot: ${snapshot.name}`,
+				style: {
+					text: snapshot.name,
+					size: 'auto',
+					color: colorWhite,
+					bgcolor: colorBlack,
+				},
+				steps: [
+					{
+						down: [{ actionId: 'snapshot_restore', options: { snapshot: snapshot.name } }],
+						up: [],
+					},
+				],
+				feedbacks: [
+					{
+						feedbackId: 'snapshot_matches',
+						options: { snapshot: snapshot.name },
+						style: {
+							color: colorWhite,
+							bgcolor: colorGreen,
+						},
+					},
+				],
+			}
+		}
+
 		self.setPresetDefinitions(presets)
 	},
 }
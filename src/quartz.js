@@ -17,7 +17,8 @@
  */
 
 const EventEmitter = require('events')
-const { VALID_LEVELS } = require('./constants')
+const { StringDecoder } = require('string_decoder')
+const { VALID_LEVELS, CharacterEncoding, DEFAULT_CHARACTER_ENCODING } = require('./constants')
 
 /**
  * Quartz protocol command prefixes
@@ -71,6 +72,13 @@ const ResponsePrefix = {
 	POWER_UP: '.P',
 }
 
+/**
+ * Longest .M (multi-set) message sent in one go, in characters excluding the
+ * terminating '\r'. Longer route lists are split across several .M messages.
+ * @type {number}
+ */
+const MULTI_SET_MAX_LENGTH = 240
+
 /**
  * Parsed message types emitted by the parser
  * @readonly
@@ -81,6 +89,8 @@ const MessageType = {
 	DESTINATION_NAME: 'destinationName',
 	/** Source name received */
 	SOURCE_NAME: 'sourceName',
+	/** Level name received */
+	LEVEL_NAME: 'levelName',
 	/** Crosspoint status update (route changed) */
 	CROSSPOINT_UPDATE: 'crosspointUpdate',
 	/** Acknowledge response */
@@ -109,6 +119,13 @@ const MessageType = {
  * @property {string} name - Source name from router
  */
 
+/**
+ * @typedef {Object} LevelNameMessage
+ * @property {string} type - Always MessageType.LEVEL_NAME
+ * @property {string} level - Level character (e.g., 'A')
+ * @property {string} name - Level name from router
+ */
+
 /**
  * @typedef {Object} CrosspointUpdateMessage
  * @property {string} type - Always MessageType.CROSSPOINT_UPDATE
@@ -149,8 +166,66 @@ const MessageType = {
  */
 
 /**
- * @typedef {DestinationNameMessage|SourceNameMessage|CrosspointUpdateMessage|AcknowledgeMessage|LockStatusMessage|PowerUpMessage|ErrorMessage|UnknownMessage} ParsedMessage
+ * @typedef {DestinationNameMessage|SourceNameMessage|LevelNameMessage|CrosspointUpdateMessage|AcknowledgeMessage|LockStatusMessage|PowerUpMessage|ErrorMessage|UnknownMessage} ParsedMessage
+ */
+
+// =============================================================================
+// Character Encoding
+// =============================================================================
+
+/**
+ * Maps a configured character set to the Node.js encoding used on the wire
+ *
+ * ASCII is read and written as Latin-1, so every byte maps to one character
+ * and nothing is lost before non-printable characters are stripped.
+ *
+ * @param {string} [encoding] - One of CharacterEncoding
+ * @returns {BufferEncoding} Node.js encoding name
+ */
+function toBufferEncoding(encoding) {
+	return encoding === CharacterEncoding.UTF8 ? 'utf8' : 'latin1'
+}
+
+/**
+ * ANSI/VT escape sequences (ESC [ ... final byte).
+ * @type {RegExp}
  */
+// eslint-disable-next-line no-control-regex -- the sequences start with ESC, a control character
+const ESCAPE_SEQUENCE_PATTERN = /\x1b\[[0-9;?]*[ -/]*[@-~]/g
+
+/**
+ * Strips escape sequences and anything outside printable 7-bit ASCII
+ *
+ * @param {string} text - Text to clean
+ * @returns {string} Printable ASCII only
+ *
+ * @example
+ * stripToAscii('\x1b[1mCAM 1\x1b[0m Caf\u00e9')
+ * // Returns: 'CAM 1 Caf'
+ */
+function stripToAscii(text) {
+	return text.replace(ESCAPE_SEQUENCE_PATTERN, '').replace(/[^\x20-\x7e]/g, '')
+}
+
+/**
+ * Encodes a command string for the socket in the router's character set
+ *
+ * @param {string} command - Command string, including any '\r' terminators
+ * @param {string} [encoding] - One of CharacterEncoding
+ * @returns {Buffer} Bytes to send
+ *
+ * @example
+ * encodeCommand('.RD1\r', CharacterEncoding.LATIN1)
+ * // Returns: <Buffer 2e 52 44 31 0d>
+ */
+function encodeCommand(command, encoding = DEFAULT_CHARACTER_ENCODING) {
+	if (encoding === CharacterEncoding.ASCII) {
+		// Keep the '\r' terminators, strip everything else that isn't printable
+		return Buffer.from(command.split('\r').map(stripToAscii).join('\r'), 'latin1')
+	}
+
+	return Buffer.from(command, toBufferEncoding(encoding))
+}
 
 /**
  * Quartz Protocol Parser
@@ -162,8 +237,11 @@ const MessageType = {
  * @extends EventEmitter
  * @fires QuartzParser#message
  *
+ * Bytes are decoded in the router's character set. Multi-byte UTF-8
+ * characters split across TCP packets are held back until complete.
+ *
  * @example
- * const parser = new QuartzParser()
+ * const parser = new QuartzParser({ encoding: CharacterEncoding.UTF8 })
  * parser.on('message', (msg) => {
  *   if (msg.type === MessageType.DESTINATION_NAME) {
  *     console.log(`Destination ${msg.id}: ${msg.name}`)
@@ -174,8 +252,11 @@ const MessageType = {
 class QuartzParser extends EventEmitter {
 	/**
 	 * Creates a new QuartzParser instance
+	 *
+	 * @param {Object} [options]
+	 * @param {string} [options.encoding=DEFAULT_CHARACTER_ENCODING] - Router character set, one of CharacterEncoding
 	 */
-	constructor() {
+	constructor({ encoding = DEFAULT_CHARACTER_ENCODING } = {}) {
 		super()
 
 		/**
@@ -184,6 +265,27 @@ class QuartzParser extends EventEmitter {
 		 * @private
 		 */
 		this._buffer = ''
+
+		this.setEncoding(encoding)
+	}
+
+	/**
+	 * Sets the router character set used to decode incoming bytes
+	 *
+	 * Discards any partially received message, as it was decoded with the
+	 * previous character set.
+	 *
+	 * @param {string} encoding - One of CharacterEncoding
+	 * @returns {void}
+	 */
+	setEncoding(encoding) {
+		/**
+		 * Router character set, one of CharacterEncoding
+		 * @type {string}
+		 */
+		this.encoding = encoding
+
+		this.reset()
 	}
 
 	/**
@@ -200,8 +302,9 @@ class QuartzParser extends EventEmitter {
 	 * socket.on('data', (data) => parser.feed(data))
 	 */
 	feed(data) {
-		// Convert Buffer to string if necessary
-		const chunk = Buffer.isBuffer(data) ? data.toString('utf-8') : data
+		// Convert Buffer to string if necessary; the decoder keeps incomplete
+		// multi-byte characters until the rest arrives
+		const chunk = Buffer.isBuffer(data) ? this._decoder.write(data) : data
 		this._buffer += chunk
 
 		// Process any complete messages in the buffer
@@ -223,7 +326,11 @@ class QuartzParser extends EventEmitter {
 		let crIndex
 		while ((crIndex = this._buffer.indexOf('\r')) !== -1) {
 			// Extract the complete message (including any leading whitespace/previous \r)
-			const message = this._buffer.slice(0, crIndex)
+			let message = this._buffer.slice(0, crIndex)
+
+			if (this.encoding === CharacterEncoding.ASCII) {
+				message = stripToAscii(message)
+			}
 
 			// Remove processed message from buffer (including the \r)
 			this._buffer = this._buffer.slice(crIndex + 1)
@@ -266,6 +373,11 @@ class QuartzParser extends EventEmitter {
 			return this._parseNameResponse(line, ResponsePrefix.SOURCE_NAME, MessageType.SOURCE_NAME)
 		}
 
+		// Level name response: .RAL{level},{name}
+		if (line.startsWith(ResponsePrefix.LEVEL_NAME)) {
+			return this._parseLevelNameResponse(line)
+		}
+
 		// Update response: .U{levels}{dest},{srce}
 		// This is sent when crosspoints change (from any source - panels, commands, etc.)
 		if (line.startsWith(ResponsePrefix.UPDATE)) {
@@ -337,6 +449,35 @@ class QuartzParser extends EventEmitter {
 		}
 	}
 
+	/**
+	 * Parses a level name response
+	 *
+	 * Format: .RAL{level},{name}
+	 * Example: .RALA,Embedded 1-2
+	 *
+	 * @private
+	 * @param {string} line - Raw response line
+	 * @returns {LevelNameMessage|UnknownMessage} Parsed message
+	 */
+	_parseLevelNameResponse(line) {
+		const payload = line.slice(ResponsePrefix.LEVEL_NAME.length)
+		const commaIndex = payload.indexOf(',')
+		const level = payload.slice(0, commaIndex)
+
+		if (commaIndex !== 1 || !VALID_LEVELS.includes(level)) {
+			return {
+				type: MessageType.UNKNOWN,
+				raw: line,
+			}
+		}
+
+		return {
+			type: MessageType.LEVEL_NAME,
+			level,
+			name: payload.slice(commaIndex + 1),
+		}
+	}
+
 	/**
 	 * Parses a crosspoint update response
 	 *
@@ -483,6 +624,13 @@ class QuartzParser extends EventEmitter {
 	 */
 	reset() {
 		this._buffer = ''
+
+		/**
+		 * Decoder for incoming bytes, holding back incomplete multi-byte characters
+		 * @type {StringDecoder}
+		 * @private
+		 */
+		this._decoder = new StringDecoder(toBufferEncoding(this.encoding))
 	}
 }
 
@@ -552,23 +700,136 @@ function parseCrosspointGroups(data) {
 	return groups
 }
 
+/**
+ * Whether a command is one a working controller may leave unanswered
+ *
+ * Lock interrogates (.BI) and level name reads (.RL) aren't supported by
+ * every controller, and those that don't support them simply never answer.
+ * A missing reply to one says nothing about the link.
+ *
+ * @param {string} command - Command as sent, without the '\r' terminator
+ * @returns {boolean} True for .BI and .RL commands
+ *
+ * @example
+ * isOptionalQuery('.BI12')
+ * // Returns: true
+ */
+function isOptionalQuery(command) {
+	return command.startsWith(`${CommandPrefix.LOCK}I`) || command.startsWith(CommandPrefix.READ_LEVEL)
+}
+
+/**
+ * Whether a parsed message is the router's reply to a command
+ *
+ * Every Quartz command is answered in order: reads with their name reply,
+ * lock interrogates with .BA, everything else with .A — or with .E when the
+ * router rejects it. Used to correlate replies with outstanding commands.
+ *
+ * @param {string} command - Command as sent, without the '\r' terminator
+ * @param {ParsedMessage} message - Parsed message from QuartzParser
+ * @returns {boolean} True when the message answers the command
+ *
+ * @example
+ * isReplyTo('.RD5', { type: MessageType.DESTINATION_NAME, id: 5, name: 'MON 5' })
+ * // Returns: true
+ */
+function isReplyTo(command, message) {
+	if (message.type === MessageType.ERROR) {
+		return true
+	}
+
+	if (command.startsWith(CommandPrefix.READ_DESTINATION)) {
+		return (
+			message.type === MessageType.DESTINATION_NAME &&
+			message.id === parseInt(command.slice(CommandPrefix.READ_DESTINATION.length), 10)
+		)
+	}
+
+	if (command.startsWith(CommandPrefix.READ_SOURCE)) {
+		return (
+			message.type === MessageType.SOURCE_NAME &&
+			message.id === parseInt(command.slice(CommandPrefix.READ_SOURCE.length), 10)
+		)
+	}
+
+	if (command.startsWith(CommandPrefix.READ_LEVEL)) {
+		return (
+			message.type === MessageType.LEVEL_NAME && message.level === command.slice(CommandPrefix.READ_LEVEL.length)
+		)
+	}
+
+	if (command.startsWith(CommandPrefix.LOCK)) {
+		const destination = parseInt(command.slice(CommandPrefix.LOCK.length + 1), 10)
+		const isLockStatus = message.type === MessageType.LOCK_STATUS && message.destination === destination
+
+		// .BI is answered with the lock status; .BL/.BU may be answered with either
+		if (command[CommandPrefix.LOCK.length] === 'I') {
+			return isLockStatus
+		}
+		return isLockStatus || message.type === MessageType.ACKNOWLEDGE
+	}
+
+	return message.type === MessageType.ACKNOWLEDGE
+}
+
 // =============================================================================
 // Command Builders
 // =============================================================================
 
+/**
+ * Builds a command to read a single destination name
+ *
+ * @param {number} destination - Destination ID
+ * @returns {string} Formatted Quartz command string
+ *
+ * @example
+ * const cmd = buildReadDestinationCommand(12)
+ * // Returns: '.RD12'
+ */
+function buildReadDestinationCommand(destination) {
+	return `${CommandPrefix.READ_DESTINATION}${destination}`
+}
+
+/**
+ * Builds a command to read a single source name
+ *
+ * @param {number} source - Source ID
+ * @returns {string} Formatted Quartz command string
+ *
+ * @example
+ * const cmd = buildReadSourceCommand(7)
+ * // Returns: '.RS7'
+ */
+function buildReadSourceCommand(source) {
+	return `${CommandPrefix.READ_SOURCE}${source}`
+}
+
+/**
+ * Expands the ports argument of the bulk command builders
+ *
+ * @param {number|number[]} ports - Highest ID (meaning 1..n), or the IDs themselves
+ * @returns {number[]} Port IDs
+ */
+function toPortIds(ports) {
+	return Array.isArray(ports) ? ports : Array.from({ length: ports }, (_, i) => i + 1)
+}
+
 /**
  * Builds a command to read destination names
  *
- * @param {number} maxDestinations - Maximum destination ID to query
+ * @param {number|number[]} destinations - Highest destination ID to query, or the IDs to query
  * @returns {string} Formatted Quartz command string
  *
  * @example
  * const cmd = buildReadDestinationsCommand(16)
  * // Returns: '.RD1\r.RD2\r.RD3\r...'
+ *
+ * const cmd = buildReadDestinationsCommand([1, 2, 501])
+ * // Returns: '.RD1\r.RD2\r.RD501\r'
  */
-function buildReadDestinationsCommand(maxDestinations) {
+function buildReadDestinationsCommand(destinations) {
 	let cmd = ''
-	for (let i = 1; i <= maxDestinations; i++) {
+	for (const i of toPortIds(destinations)) {
 		cmd += `${CommandPrefix.READ_DESTINATION}${i}\r`
 	}
 	return cmd
@@ -577,30 +838,51 @@ function buildReadDestinationsCommand(maxDestinations) {
 /**
  * Builds a command to read source names
  *
- * @param {number} maxSources - Maximum source ID to query
+ * @param {number|number[]} sources - Highest source ID to query, or the IDs to query
  * @returns {string} Formatted Quartz command string
  *
  * @example
  * const cmd = buildReadSourcesCommand(16)
  * // Returns: '.RS1\r.RS2\r.RS3\r...'
  */
-function buildReadSourcesCommand(maxSources) {
+function buildReadSourcesCommand(sources) {
 	let cmd = ''
-	for (let i = 1; i <= maxSources; i++) {
+	for (const i of toPortIds(sources)) {
 		cmd += `${CommandPrefix.READ_SOURCE}${i}\r`
 	}
 	return cmd
 }
 
 /**
- * Builds a command to read all names (destinations and sources)
+ * Builds a command to read level names
  *
- * @param {number} maxDestinations - Maximum destination ID to query
- * @param {number} maxSources - Maximum source ID to query
+ * @param {string[]} levels - Level characters to query
  * @returns {string} Formatted Quartz command string
+ *
+ * @example
+ * const cmd = buildReadLevelsCommand(['V', 'A'])
+ * // Returns: '.RLV\r.RLA\r'
  */
-function buildReadNamesCommand(maxDestinations, maxSources) {
-	return buildReadDestinationsCommand(maxDestinations) + buildReadSourcesCommand(maxSources)
+function buildReadLevelsCommand(levels) {
+	let cmd = ''
+	for (const level of levels) {
+		cmd += `${CommandPrefix.READ_LEVEL}${level}\r`
+	}
+	return cmd
+}
+
+/**
+ * Builds a command to read all names (destinations, sources and, optionally, levels)
+ *
+ * @param {number|number[]} destinations - Highest destination ID to query, or the IDs to query
+ * @param {number|number[]} sources - Highest source ID to query, or the IDs to query
+ * @param {string[]} [levels=[]] - Level characters whose names to query
+ * @returns {string} Formatted Quartz command string
+ */
+function buildReadNamesCommand(destinations, sources, levels = []) {
+	return (
+		buildReadDestinationsCommand(destinations) + buildReadSourcesCommand(sources) + buildReadLevelsCommand(levels)
+	)
 }
 
 /**
@@ -619,6 +901,94 @@ function buildRouteCommand(levels, destination, source) {
 	return `${CommandPrefix.SET_CROSSPOINT}${levels}${destination},${source}`
 }
 
+/**
+ * Builds one or more multi-set commands routing several crosspoints at once
+ *
+ * Each route becomes a `{levels}{dest},{srce}` group; groups are packed into
+ * .M messages of at most maxLength characters, so every message is applied
+ * by the router as a single transaction.
+ *
+ * @param {{ levels: string, destination: number|string, source: number|string }[]} routes - Routes to set
+ * @param {number} [maxLength=MULTI_SET_MAX_LENGTH] - Longest message to build, excluding '\r'
+ * @returns {string} Formatted Quartz command string, one '\r'-terminated .M per chunk
+ *
+ * @example
+ * const cmd = buildMultiSetCommand([
+ *   { levels: 'V', destination: 1, source: 5 },
+ *   { levels: 'VA', destination: 2, source: 6 },
+ * ])
+ * // Returns: '.MV1,5VA2,6\r'
+ */
+function buildMultiSetCommand(routes, maxLength = MULTI_SET_MAX_LENGTH) {
+	let cmd = ''
+	let message = ''
+
+	for (const { levels, destination, source } of routes) {
+		const group = `${levels}${destination},${source}`
+
+		if (message !== '' && message.length + group.length > maxLength) {
+			cmd += `${message}\r`
+			message = ''
+		}
+
+		if (message === '') {
+			message = CommandPrefix.MULTI_SET
+		}
+		message += group
+	}
+
+	if (message !== '') {
+		cmd += `${message}\r`
+	}
+
+	return cmd
+}
+
+/**
+ * Builds a command to add a crosspoint to the router's queue
+ *
+ * Queued crosspoints are held by the router until the queue is fired
+ * (see buildQueueFireCommand()), then switched together.
+ *
+ * @param {string} levels - Level string (e.g., 'V', 'VA')
+ * @param {number|string} destination - Destination ID
+ * @param {number|string} source - Source ID
+ * @returns {string} Formatted Quartz command string
+ *
+ * @example
+ * const cmd = buildQueueRouteCommand('V', 1, 5)
+ * // Returns: '.QV1,5'
+ */
+function buildQueueRouteCommand(levels, destination, source) {
+	return `${CommandPrefix.QUEUE}${levels}${destination},${source}`
+}
+
+/**
+ * Builds a command to fire (take) every crosspoint in the router's queue
+ *
+ * @returns {string} Formatted Quartz command string
+ *
+ * @example
+ * const cmd = buildQueueFireCommand()
+ * // Returns: '.QF'
+ */
+function buildQueueFireCommand() {
+	return `${CommandPrefix.QUEUE}F`
+}
+
+/**
+ * Builds a command to clear the router's queue without switching anything
+ *
+ * @returns {string} Formatted Quartz command string
+ *
+ * @example
+ * const cmd = buildQueueClearCommand()
+ * // Returns: '.QC'
+ */
+function buildQueueClearCommand() {
+	return `${CommandPrefix.QUEUE}C`
+}
+
 /**
  * Builds a command to fire a salvo
  *
@@ -711,12 +1081,12 @@ function buildListRoutesCommand(level, startDestination) {
  * Uses the interrogate command (.I) for each destination.
  *
  * @param {string} level - Single level character (e.g., 'V')
- * @param {number} maxDestinations - Maximum destination ID to query
+ * @param {number|number[]} destinations - Highest destination ID to query, or the IDs to query
  * @returns {string} Formatted Quartz command string
  */
-function buildInterrogateAllCommand(level, maxDestinations) {
+function buildInterrogateAllCommand(level, destinations) {
 	let cmd = ''
-	for (let i = 1; i <= maxDestinations; i++) {
+	for (const i of toPortIds(destinations)) {
 		cmd += `${CommandPrefix.INTERROGATE}${level}${i}\r`
 	}
 	return cmd
@@ -726,14 +1096,22 @@ function buildInterrogateAllCommand(level, maxDestinations) {
  * Builds commands to fetch all crosspoints for a level using .L (up to 8
  * routes per response) instead of one .I per destination.
  *
+ * With sparse IDs, each list starts at the first ID not covered by the
+ * previous one, so gaps between ranges aren't listed.
+ *
  * @param {string} level - Single level character (e.g., 'V')
- * @param {number} maxDestinations - Maximum destination ID to query
+ * @param {number|number[]} destinations - Highest destination ID to query, or the IDs to query
  * @returns {string} Formatted Quartz command string
  */
-function buildListRoutesAllCommand(level, maxDestinations) {
+function buildListRoutesAllCommand(level, destinations) {
 	let cmd = ''
-	for (let start = 1; start <= maxDestinations; start += 8) {
+	let coveredUpTo = 0
+	for (const start of toPortIds(destinations)) {
+		if (start <= coveredUpTo) {
+			continue
+		}
 		cmd += `${buildListRoutesCommand(level, start)}\r`
+		coveredUpTo = start + 7
 	}
 	return cmd
 }
@@ -741,12 +1119,12 @@ function buildListRoutesAllCommand(level, maxDestinations) {
 /**
  * Builds commands to interrogate lock status for all destinations
  *
- * @param {number} maxDestinations - Maximum destination ID to query
+ * @param {number|number[]} destinations - Highest destination ID to query, or the IDs to query
  * @returns {string} Formatted Quartz command string
  */
-function buildLockInterrogateAllCommand(maxDestinations) {
+function buildLockInterrogateAllCommand(destinations) {
 	let cmd = ''
-	for (let i = 1; i <= maxDestinations; i++) {
+	for (const i of toPortIds(destinations)) {
 		cmd += `${CommandPrefix.LOCK}I${i}\r`
 	}
 	return cmd
@@ -760,15 +1138,30 @@ module.exports = {
 	CommandPrefix,
 	ResponsePrefix,
 	MessageType,
+	MULTI_SET_MAX_LENGTH,
+
+	// Character encoding
+	toBufferEncoding,
+	encodeCommand,
+	stripToAscii,
 
 	// Response helpers
 	parseCrosspointGroups,
+	isReplyTo,
+	isOptionalQuery,
 
 	// Command builders
+	buildReadDestinationCommand,
+	buildReadSourceCommand,
 	buildReadDestinationsCommand,
 	buildReadSourcesCommand,
+	buildReadLevelsCommand,
 	buildReadNamesCommand,
 	buildRouteCommand,
+	buildMultiSetCommand,
+	buildQueueRouteCommand,
+	buildQueueFireCommand,
+	buildQueueClearCommand,
 	buildSalvoCommand,
 	buildLockCommand,
 	buildUnlockCommand,
@@ -0,0 +1,497 @@
+/**
+ * @fileoverview Simulated Quartz Router for Evertz Quartz Module
+ *
+ * An in-process emulation of a Quartz controller, used in place of
+ * TCPHelper when the connection mode is 'Simulated router'. It exposes the
+ * same socket surface the module uses (isConnected, send(), destroy() and
+ * connect/data/end/error events) and answers commands the way a real
+ * controller does, so names, crosspoints, locks and presets can be built
+ * and tested without router access.
+ *
+ * Supported commands:
+ * - .RD/.RS/.RL - name reads, answered with .RAD/.RAS/.RAL
+ * - .I - interrogate, answered with .A{level}{dest},{srce}
+ * - .L - list routes, up to 8 per .A (or .E when .L support is off)
+ * - .S/.M - set crosspoint(s), answered with .A and broadcast as .U
+ * - .Q/.QF/.QC - queue, fire and clear the crosspoint queue
+ * - .BL/.BU/.BI - lock, unlock and interrogate, answered with .A/.BA
+ * - .F - fire salvo n: route source n to the first 8 destinations on every level
+ *
+ * Anything else, or anything out of range, is answered with .E.
+ *
+ * @module simulator
+ * @author Companion Module Contributors
+ * @see {@link https://github.com/bitfocus/companion-module-evertz-quartz}
+ */
+
+const EventEmitter = require('events')
+const { StringDecoder } = require('string_decoder')
+const { VALID_LEVELS, SimulatorLockMode } = require('./constants')
+const { encodeCommand, toBufferEncoding } = require('./quartz')
+
+/**
+ * Delay before the simulator answers, in milliseconds.
+ * @type {number}
+ */
+const SIMULATOR_LATENCY = 5
+
+/**
+ * Panel address used for the simulator's own random lock changes.
+ * @type {number}
+ */
+const SIMULATED_PANEL_ADDRESS = 7
+
+/**
+ * @typedef {Object} SimulatorOptions
+ * @property {number} [sources=16] - Number of sources
+ * @property {number} [destinations=16] - Number of destinations
+ * @property {string} [levels='VABCDEFG'] - Levels the simulated router has
+ * @property {string[]} [sourceNames=[]] - Source names, in order; missing names are generated
+ * @property {string[]} [destinationNames=[]] - Destination names, in order; missing names are generated
+ * @property {string} [lockMode=SimulatorLockMode.ENFORCE] - One of SimulatorLockMode
+ * @property {boolean} [listRoutes=true] - Whether .L is supported
+ * @property {number} [randomInterval=0] - Seconds between random external changes, 0 for none
+ * @property {string} [encoding] - Character set, one of CharacterEncoding
+ */
+
+/**
+ * Simulated Quartz controller
+ *
+ * @extends EventEmitter
+ * @fires QuartzSimulator#connect
+ * @fires QuartzSimulator#data
+ *
+ * @example
+ * const socket = new QuartzSimulator({ sources: 32, destinations: 16 })
+ * socket.on('data', (data) => parser.feed(data))
+ * socket.on('connect', () => socket.send(Buffer.from('.RD1\r')))
+ */
+class QuartzSimulator extends EventEmitter {
+	/**
+	 * Creates a simulated router and "connects" on the next tick
+	 *
+	 * @param {SimulatorOptions} [options]
+	 */
+	constructor({
+		sources = 16,
+		destinations = 16,
+		levels = 'VABCDEFG',
+		sourceNames = [],
+		destinationNames = [],
+		lockMode = SimulatorLockMode.ENFORCE,
+		listRoutes = true,
+		randomInterval = 0,
+		encoding,
+	} = {}) {
+		super()
+
+		/**
+		 * Whether the simulated session is up
+		 * @type {boolean}
+		 */
+		this.isConnected = false
+
+		this.sources = Math.max(1, sources)
+		this.destinations = Math.max(1, destinations)
+		this.levels = [...new Set(String(levels).toUpperCase())].filter((ch) => VALID_LEVELS.includes(ch))
+		if (this.levels.length === 0) {
+			this.levels = ['V']
+		}
+		this.lockMode = lockMode
+		this.listRoutes = listRoutes
+		this.encoding = encoding
+
+		this._sourceNames = sourceNames
+		this._destinationNames = destinationNames
+
+		/**
+		 * Routed source per level and destination
+		 * @type {Object.<string, Object.<number, number>>}
+		 * @private
+		 */
+		this._crosspoints = {}
+		for (const level of this.levels) {
+			this._crosspoints[level] = {}
+			for (let dest = 1; dest <= this.destinations; dest++) {
+				this._crosspoints[level][dest] = ((dest - 1) % this.sources) + 1
+			}
+		}
+
+		/** @type {Object.<number, number>} @private */
+		this._locks = {}
+
+		/** @type {{ levels: string[], destination: number, source: number }[]} @private */
+		this._queue = []
+
+		/** @type {string} @private */
+		this._buffer = ''
+
+		/** @type {StringDecoder} @private */
+		this._decoder = new StringDecoder(toBufferEncoding(encoding))
+
+		/** @type {Set<NodeJS.Timeout>} @private */
+		this._timers = new Set()
+
+		/** @type {NodeJS.Timeout|null} @private */
+		this._randomTimer = null
+
+		this._defer(() => {
+			this.isConnected = true
+			this.emit('connect')
+
+			if (randomInterval > 0) {
+				this._randomTimer = setInterval(() => this._randomChange(), randomInterval * 1000)
+			}
+		}, 0)
+	}
+
+	/**
+	 * Receives bytes from the module, as TCPHelper#send() would send them
+	 *
+	 * @param {Buffer|string} data - Command bytes
+	 * @returns {Promise<boolean>} True when the session is up
+	 */
+	async send(data) {
+		if (!this.isConnected) {
+			return false
+		}
+
+		this._buffer += Buffer.isBuffer(data) ? this._decoder.write(data) : data
+
+		const replies = []
+		let crIndex
+		while ((crIndex = this._buffer.indexOf('\r')) !== -1) {
+			const line = this._buffer.slice(0, crIndex).trim()
+			this._buffer = this._buffer.slice(crIndex + 1)
+			if (line.length > 0) {
+				replies.push(...this._handleCommand(line))
+			}
+		}
+
+		this._emitLines(replies)
+		return true
+	}
+
+	/**
+	 * Ends the simulated session
+	 *
+	 * @returns {void}
+	 */
+	destroy() {
+		this.isConnected = false
+
+		for (const timer of this._timers) {
+			clearTimeout(timer)
+		}
+		this._timers.clear()
+
+		if (this._randomTimer) {
+			clearInterval(this._randomTimer)
+			this._randomTimer = null
+		}
+	}
+
+	/**
+	 * Answers a single command
+	 *
+	 * @private
+	 * @param {string} line - Command without '\r'
+	 * @returns {string[]} Reply lines, including any .U/.BA broadcasts
+	 */
+	_handleCommand(line) {
+		let match
+
+		if ((match = line.match(/^\.RD(\d+)$/))) {
+			const id = parseInt(match[1], 10)
+			return this._isDestination(id) ? [`.RAD${id},${this._destinationName(id)}`] : ['.E']
+		}
+
+		if ((match = line.match(/^\.RS(\d+)$/))) {
+			const id = parseInt(match[1], 10)
+			return this._isSource(id) ? [`.RAS${id},${this._sourceName(id)}`] : ['.E']
+		}
+
+		if ((match = line.match(/^\.RL([A-Z])$/))) {
+			return this.levels.includes(match[1]) ? [`.RAL${match[1]},${this._levelName(match[1])}`] : ['.E']
+		}
+
+		if ((match = line.match(/^\.I([A-Z])(\d+)$/))) {
+			const [, level, destStr] = match
+			const dest = parseInt(destStr, 10)
+			if (!this.levels.includes(level) || !this._isDestination(dest)) {
+				return ['.E']
+			}
+			return [`.A${level}${dest},${this._crosspoints[level][dest]}`]
+		}
+
+		if ((match = line.match(/^\.L([A-Z])(\d+),-$/))) {
+			const [, level, startStr] = match
+			const start = parseInt(startStr, 10)
+			if (!this.listRoutes || !this.levels.includes(level) || !this._isDestination(start)) {
+				return ['.E']
+			}
+			let data = ''
+			for (let dest = start; dest < start + 8 && dest <= this.destinations; dest++) {
+				data += `${level}${dest},${this._crosspoints[level][dest]}`
+			}
+			return [`.A${data}`]
+		}
+
+		if ((match = line.match(/^\.S([A-Z]+)(\d+),(\d+)$/))) {
+			const route = this._parseRoute(match[1], match[2], match[3])
+			return route ? ['.A', ...this._applyRoutes([route])] : ['.E']
+		}
+
+		if (line.startsWith('.M')) {
+			const routes = this._parseRouteGroups(line.slice(2))
+			return routes ? ['.A', ...this._applyRoutes(routes)] : ['.E']
+		}
+
+		if (line === '.QF') {
+			const routes = this._queue
+			this._queue = []
+			return ['.A', ...this._applyRoutes(routes)]
+		}
+
+		if (line === '.QC') {
+			this._queue = []
+			return ['.A']
+		}
+
+		if ((match = line.match(/^\.Q([A-Z]+)(\d+),(\d+)$/))) {
+			const route = this._parseRoute(match[1], match[2], match[3])
+			if (!route) {
+				return ['.E']
+			}
+			this._queue = this._queue.filter(
+				(queued) =>
+					queued.destination !== route.destination || queued.levels.join('') !== route.levels.join(''),
+			)
+			this._queue.push(route)
+			return ['.A']
+		}
+
+		if ((match = line.match(/^\.B([LUI])(\d+)$/))) {
+			return this._handleLockCommand(match[1], parseInt(match[2], 10))
+		}
+
+		if ((match = line.match(/^\.F(\d+)$/))) {
+			const salvo = parseInt(match[1], 10)
+			if (!this._isSource(salvo)) {
+				return ['.E']
+			}
+			const routes = []
+			for (let dest = 1; dest <= Math.min(8, this.destinations); dest++) {
+				routes.push({ levels: this.levels, destination: dest, source: salvo })
+			}
+			return ['.A', ...this._applyRoutes(routes)]
+		}
+
+		return ['.E']
+	}
+
+	/**
+	 * Answers a lock command according to the lock mode
+	 *
+	 * @private
+	 * @param {string} op - 'L', 'U' or 'I'
+	 * @param {number} dest - Destination ID
+	 * @returns {string[]} Reply lines
+	 */
+	_handleLockCommand(op, dest) {
+		if (this.lockMode === SimulatorLockMode.UNSUPPORTED || !this._isDestination(dest)) {
+			return ['.E']
+		}
+
+		const status = this._locks[dest] ?? 0
+
+		if (op === 'I') {
+			return [`.BA${dest},${status}`]
+		}
+
+		// A protected lock can only be released by the panel that holds it
+		if (op === 'U' && status >= 1 && status <= 254) {
+			return ['.E']
+		}
+
+		const newStatus = op === 'L' ? 255 : 0
+		this._locks[dest] = newStatus
+		return ['.A', `.BA${dest},${newStatus}`]
+	}
+
+	/**
+	 * Applies routes, skipping locked destinations when locks are enforced
+	 *
+	 * @private
+	 * @param {{ levels: string[], destination: number, source: number }[]} routes - Routes to apply
+	 * @returns {string[]} .U broadcasts for the routes that were made
+	 */
+	_applyRoutes(routes) {
+		const updates = []
+
+		for (const { levels, destination, source } of routes) {
+			if (this.lockMode === SimulatorLockMode.ENFORCE && (this._locks[destination] ?? 0) !== 0) {
+				continue
+			}
+
+			for (const level of levels) {
+				this._crosspoints[level][destination] = source
+			}
+			updates.push(`.U${levels.join('')}${destination},${source}`)
+		}
+
+		return updates
+	}
+
+	/**
+	 * Makes a random route (or, now and then, a panel lock change), as if
+	 * from another panel on the router
+	 *
+	 * @private
+	 * @returns {void}
+	 */
+	_randomChange() {
+		const random = (n) => Math.floor(Math.random() * n) + 1
+		const destination = random(this.destinations)
+
+		if (this.lockMode !== SimulatorLockMode.UNSUPPORTED && Math.random() < 0.1) {
+			const locked = (this._locks[destination] ?? 0) !== 0
+			this._locks[destination] = locked ? 0 : SIMULATED_PANEL_ADDRESS
+			this._emitLines([`.BA${destination},${this._locks[destination]}`])
+			return
+		}
+
+		const level = this.levels[random(this.levels.length) - 1]
+		this._emitLines(this._applyRoutes([{ levels: [level], destination, source: random(this.sources) }]))
+	}
+
+	/**
+	 * Parses and validates a single route
+	 *
+	 * @private
+	 * @param {string} levels - Level characters
+	 * @param {string} dest - Destination ID
+	 * @param {string} src - Source ID
+	 * @returns {{ levels: string[], destination: number, source: number }|null} Route, or null when invalid
+	 */
+	_parseRoute(levels, dest, src) {
+		const route = {
+			levels: levels.split(''),
+			destination: parseInt(dest, 10),
+			source: parseInt(src, 10),
+		}
+
+		const valid =
+			route.levels.every((level) => this.levels.includes(level)) &&
+			this._isDestination(route.destination) &&
+			this._isSource(route.source)
+
+		return valid ? route : null
+	}
+
+	/**
+	 * Parses the groups of a .M command
+	 *
+	 * @private
+	 * @param {string} data - Everything after '.M'
+	 * @returns {{ levels: string[], destination: number, source: number }[]|null} Routes, or null when any is invalid
+	 */
+	_parseRouteGroups(data) {
+		const routes = []
+		let consumed = 0
+
+		for (const match of data.matchAll(/([A-Z]+)(\d+),(\d+)/g)) {
+			if (match.index !== consumed) {
+				return null
+			}
+			consumed += match[0].length
+
+			const route = this._parseRoute(match[1], match[2], match[3])
+			if (!route) {
+				return null
+			}
+			routes.push(route)
+		}
+
+		return routes.length > 0 && consumed === data.length ? routes : null
+	}
+
+	/** @private */
+	_isSource(id) {
+		return id >= 1 && id <= this.sources
+	}
+
+	/** @private */
+	_isDestination(id) {
+		return id >= 1 && id <= this.destinations
+	}
+
+	/** @private */
+	_sourceName(id) {
+		return this._sourceNames[id - 1] || `SRC ${id}`
+	}
+
+	/** @private */
+	_destinationName(id) {
+		return this._destinationNames[id - 1] || `DST ${id}`
+	}
+
+	/** @private */
+	_levelName(level) {
+		return level === 'V' ? 'Video' : `Audio ${level}`
+	}
+
+	/**
+	 * Sends reply lines to the module after the simulated latency
+	 *
+	 * @private
+	 * @param {string[]} lines - Reply lines without '\r'
+	 * @returns {void}
+	 */
+	_emitLines(lines) {
+		if (lines.length === 0) {
+			return
+		}
+
+		const data = encodeCommand(`${lines.join('\r')}\r`, this.encoding)
+		this._defer(() => {
+			if (this.isConnected) {
+				this.emit('data', data)
+			}
+		}, SIMULATOR_LATENCY)
+	}
+
+	/**
+	 * Runs a callback later, tracking the timer so destroy() can cancel it
+	 *
+	 * @private
+	 * @param {function(): void} callback - Callback
+	 * @param {number} delay - Delay in milliseconds
+	 * @returns {void}
+	 */
+	_defer(callback, delay) {
+		const timer = setTimeout(() => {
+			this._timers.delete(timer)
+			callback()
+		}, delay)
+		this._timers.add(timer)
+	}
+}
+
+/**
+ * Splits a comma-separated list of names from the config
+ *
+ * @param {string|undefined} text - Config value
+ * @returns {string[]} Trimmed names; empty entries are kept so later names keep their position
+ */
+function parseNameList(text) {
+	if (typeof text !== 'string' || text.trim() === '') {
+		return []
+	}
+	return text.split(',').map((name) => name.trim())
+}
+
+module.exports = {
+	QuartzSimulator,
+	parseNameList,
+}
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Router State Snapshots for Evertz Quartz Module
+ *
+ * A snapshot is a named copy of crosspoint state ("Morning show", "Evening
+ * news") kept in the instance config, so it survives restarts and travels
+ * with config exports. Snapshots are plain objects:
+ *
+ *   {
+ *     name: 'Morning show',
+ *     created: '2026-10-18T06:30:00.000Z',
+ *     crosspoints: { 1: { V: 5, A: 5 }, 2: { V: 7, A: 9 } }
+ *   }
+ *
+ * `crosspoints` maps destination → level → source, holding only crosspoints
+ * whose state was known when it was captured.
+ *
+ * @module snapshots
+ * @author Companion Module Contributors
+ * @see {@link https://github.com/bitfocus/companion-module-evertz-quartz}
+ */
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {string} name - Snapshot name, unique within the instance
+ * @property {string} created - When it was captured (ISO 8601)
+ * @property {Object.<string, Object.<string, number>>} crosspoints - Source per level per destination
+ */
+
+/**
+ * Captures crosspoint state into a snapshot
+ *
+ * @param {string} name - Snapshot name
+ * @param {function(string, number): (number|undefined)} getRoutedSource - Current source for a level and destination
+ * @param {number[]} destinations - Destinations to capture
+ * @param {string[]} levels - Levels to capture
+ * @returns {Snapshot} The snapshot; crosspoints whose state is unknown are left out
+ *
+ * @example
+ * captureSnapshot('Morning show', (level, dest) => crosspoints[level]?.[dest], [1, 2], ['V', 'A'])
+ */
+function captureSnapshot(name, getRoutedSource, destinations, levels) {
+	const crosspoints = {}
+
+	for (const destination of destinations) {
+		for (const level of levels) {
+			const source = getRoutedSource(level, destination)
+			if (source !== undefined) {
+				crosspoints[destination] = { ...crosspoints[destination], [level]: source }
+			}
+		}
+	}
+
+	return { name, created: new Date().toISOString(), crosspoints }
+}
+
+/**
+ * Turns a snapshot into routes, one per destination and source
+ *
+ * Levels of a destination that share a source are combined into one route
+ * (e.g. `VA2,5`), so a restore sends as few crosspoints as possible.
+ *
+ * @param {Snapshot} snapshot - Snapshot
+ * @returns {{ levels: string, destination: number, source: number }[]} Routes that restore it
+ */
+function getSnapshotRoutes(snapshot) {
+	const routes = []
+
+	for (const [destination, levels] of Object.entries(snapshot.crosspoints ?? {})) {
+		const bySource = new Map()
+		for (const [level, source] of Object.entries(levels)) {
+			bySource.set(source, (bySource.get(source) ?? '') + level)
+		}
+
+		for (const [source, levelStr] of bySource) {
+			routes.push({ levels: levelStr, destination: parseInt(destination, 10), source })
+		}
+	}
+
+	return routes
+}
+
+/**
+ * Whether the router's current state matches a snapshot
+ *
+ * @param {Snapshot} snapshot - Snapshot
+ * @param {function(string, number): (number|undefined)} getRoutedSource - Current source for a level and destination
+ * @returns {boolean} True when every crosspoint in the snapshot is routed as captured
+ */
+function snapshotMatches(snapshot, getRoutedSource) {
+	const entries = Object.entries(snapshot.crosspoints ?? {})
+
+	return (
+		entries.length > 0 &&
+		entries.every(([destination, levels]) =>
+			Object.entries(levels).every(
+				([level, source]) => getRoutedSource(level, parseInt(destination, 10)) === source,
+			),
+		)
+	)
+}
+
+module.exports = {
+	captureSnapshot,
+	getSnapshotRoutes,
+	snapshotMatches,
+}
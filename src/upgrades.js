@@ -1,4 +1,4 @@
-const { DEFAULT_XPT_LEVEL_SYSTEM } = require('./constants')
+const { DEFAULT_XPT_LEVEL_SYSTEM, CharacterEncoding } = require('./constants')
 
 module.exports = [
 	function (_context, _props) {
@@ -54,4 +54,25 @@ module.exports = [
 			updatedFeedbacks: [],
 		}
 	},
+	function (_context, props) {
+		// Add encoding config. Existing instances decoded names as UTF-8, so keep
+		// that for them; new instances default to Latin-1.
+		const config = props.config
+		if (!config || config.encoding !== undefined) {
+			return {
+				updatedConfig: null,
+				updatedActions: [],
+				updatedFeedbacks: [],
+			}
+		}
+
+		return {
+			updatedConfig: {
+				...config,
+				encoding: CharacterEncoding.UTF8,
+			},
+			updatedActions: [],
+			updatedFeedbacks: [],
+		}
+	},
 ]
@@ -4,37 +4,107 @@
  * Defines Companion variables that expose router state to buttons and triggers:
  *
  * 1. Selection workflow variables - Track user's destination/source selections
- * 2. Port label variables - Source/destination names from the router
+ * 2. Port label variables - Source/destination/level names from the router
  * 3. Crosspoint state variables - Active source ID per level × destination
  *    (configurable, can be disabled for large routers)
+ * 4. Salvo name variables - From the MAGNUM preset list, when it is fetched
  *
  * @module variables
  * @author Companion Module Contributors
  * @see {@link https://github.com/bitfocus/companion-module-evertz-quartz}
  */
 
-const { getXptVariableLevels } = require('./constants')
+const { getXptVariableLevels, getConfiguredLevels } = require('./constants')
 
 module.exports = {
 	/**
-	 * Initializes variable definitions for the module
+	 * Initializes variable definitions and values for the module
 	 *
-	 * Creates variable definitions based on current configuration.
-	 * Called during module init and when configuration changes.
+	 * Creates variable definitions based on current configuration and resets
+	 * their values. Called during module init and when configuration changes.
+	 *
+	 * @returns {void}
+	 */
+	initVariables() {
+		const self = this
+		const destinations = self.getDestinationIds()
+		const sources = self.getSourceIds()
+
+		self.updateVariableDefinitions()
+
+		// Initialize new variables to empty string
+		const initialValues = {
+			queue_count: self.queuedRoutes?.length ?? 0,
+			router_destinations: self.getDestinationCount(),
+			router_sources: self.getSourceCount(),
+		}
+
+		for (const src of sources) {
+			initialValues[`src_${src}_name`] = ''
+		}
+		for (const dest of destinations) {
+			initialValues[`dst_${dest}_name`] = ''
+			initialValues[`dst_${dest}_lock_state`] = ''
+			initialValues[`dst_${dest}_lock_owner`] = ''
+			initialValues[`dst_${dest}_breakaway`] = ''
+		}
+
+		for (const preset of self.magnumPresets) {
+			initialValues[`salvo_${preset.id}_name`] = preset.name
+		}
+
+		for (const level of getConfiguredLevels(self.config)) {
+			initialValues[`level_${level.toLowerCase()}_name`] = self.levelNames?.[level] ?? ''
+		}
+
+		for (const level of getXptVariableLevels(self.config)) {
+			const levelLower = level.toLowerCase()
+			for (const dest of destinations) {
+				initialValues[`xpt_${levelLower}_${dest}`] = ''
+
+				if (level === 'V') {
+					initialValues[`xpt_${levelLower}_${dest}_name`] = ''
+				}
+			}
+		}
+
+		self.setVariableValues(initialValues)
+		self._updateSelectedLevels()
+		self._updateHistoryState()
+		self._updateQueryProgress(self.bulk?.active ?? null)
+		self._updateActiveControllerState()
+		self._updateLinkState()
+	},
+
+	/**
+	 * Sets variable definitions for the module without touching values
+	 *
+	 * Called by initVariables(), and on its own when level names arrive from
+	 * the router, since those are part of the crosspoint variable names.
 	 *
 	 * Naming:
 	 *   src_{id}_name / dst_{id}_name - Port labels from the router
+	 *   level_{level}_name - Level names from the router
 	 *   dst_{id}_lock_state - Destination lock state (Unlocked/Locked/Owned)
+	 *   dst_{id}_lock_owner - Raw .BA lock status (0 unlocked, 1-254 owning panel, 255 unprotected)
+	 *   dst_{id}_breakaway - Levels routed away from video (e.g. "V:CAM1 A:VT3"), empty when none
 	 *   xpt_{level}_{destination} - Active source ID for a crosspoint
 	 *   xpt_v_{destination}_name - Active source name, video level only
+	 *   queue_count - Number of routes waiting in the router's queue
+	 *   active_controller / active_controller_address - Controller of a redundant pair in use
+	 *   link_idle_seconds - Seconds since the last message from the router
+	 *   link_missed_replies - Replies in a row that never arrived
+	 *   router_destinations / router_sources - Router size in use (detected or configured)
+	 *   query_progress - Bulk state query progress (e.g. "names 812/2048", or "idle")
+	 *   name_refresh_summary - What the last name refresh changed (e.g. "3 sources renamed")
 	 *
 	 * @returns {void}
 	 */
-	initVariables() {
+	updateVariableDefinitions() {
 		const self = this
 		const variables = []
-		const maxDest = self.config.max_destinations || 16
-		const maxSrc = self.config.max_sources || 16
+		const destinations = self.getDestinationIds()
+		const sources = self.getSourceIds()
 
 		// =========================================================================
 		// Selection Workflow Variables
@@ -60,18 +130,86 @@ module.exports = {
 			name: 'Selected Source for Take',
 		})
 
+		variables.push({
+			variableId: 'selected_levels',
+			name: 'Selected Levels for Take',
+		})
+
+		variables.push({
+			variableId: 'route_undo',
+			name: 'What Undo Route Would Restore',
+		})
+
+		variables.push({
+			variableId: 'route_redo',
+			name: 'What Redo Route Would Restore',
+		})
+
+		// =========================================================================
+		// Queue Variables
+		// =========================================================================
+
+		variables.push({
+			variableId: 'queue_count',
+			name: 'Queued Routes - Count',
+		})
+
+		// =========================================================================
+		// Connection / Router Size / Bulk Query Variables
+		// =========================================================================
+
+		variables.push({
+			variableId: 'active_controller',
+			name: 'Active Controller (primary/backup)',
+		})
+
+		variables.push({
+			variableId: 'active_controller_address',
+			name: 'Active Controller - Address',
+		})
+
+		variables.push({
+			variableId: 'link_idle_seconds',
+			name: 'Link - Seconds Since Last Message',
+		})
+
+		variables.push({
+			variableId: 'link_missed_replies',
+			name: 'Link - Missed Replies',
+		})
+
+		variables.push({
+			variableId: 'router_destinations',
+			name: 'Router Size - Destinations',
+		})
+
+		variables.push({
+			variableId: 'router_sources',
+			name: 'Router Size - Sources',
+		})
+
+		variables.push({
+			variableId: 'query_progress',
+			name: 'Bulk Query Progress',
+		})
+
+		variables.push({
+			variableId: 'name_refresh_summary',
+			name: 'Last Name Refresh - Changes',
+		})
+
 		// =========================================================================
 		// Port Label Variables (always defined)
 		// =========================================================================
 
-		for (let src = 1; src <= maxSrc; src++) {
+		for (const src of sources) {
 			variables.push({
 				variableId: `src_${src}_name`,
 				name: `Source ${src} - Name`,
 			})
 		}
 
-		for (let dest = 1; dest <= maxDest; dest++) {
+		for (const dest of destinations) {
 			variables.push({
 				variableId: `dst_${dest}_name`,
 				name: `Destination ${dest} - Name`,
@@ -80,6 +218,33 @@ module.exports = {
 				variableId: `dst_${dest}_lock_state`,
 				name: `Destination ${dest} - Lock State`,
 			})
+			variables.push({
+				variableId: `dst_${dest}_lock_owner`,
+				name: `Destination ${dest} - Lock Owner`,
+			})
+			variables.push({
+				variableId: `dst_${dest}_breakaway`,
+				name: `Destination ${dest} - Breakaway`,
+			})
+		}
+
+		for (const level of getConfiguredLevels(self.config)) {
+			variables.push({
+				variableId: `level_${level.toLowerCase()}_name`,
+				name: `Level ${level} - Name`,
+			})
+		}
+
+		// =========================================================================
+		// Salvo Name Variables
+		// One per salvo in the MAGNUM preset list (none until it is fetched)
+		// =========================================================================
+
+		for (const preset of self.magnumPresets) {
+			variables.push({
+				variableId: `salvo_${preset.id}_name`,
+				name: `Salvo ${preset.id} - Name`,
+			})
 		}
 
 		// =========================================================================
@@ -94,46 +259,24 @@ module.exports = {
 
 		for (const level of xptLevels) {
 			const levelLower = level.toLowerCase()
+			// Router level name (e.g. 'Embedded 1-2') when known, else the level letter
+			const levelLabel = self._getLevelLabel(level)
 
-			for (let dest = 1; dest <= maxDest; dest++) {
+			for (const dest of destinations) {
 				variables.push({
 					variableId: `xpt_${levelLower}_${dest}`,
-					name: `Crosspoint ${level} - Destination ${dest} - Current Source ID`,
+					name: `Crosspoint ${levelLabel} - Destination ${dest} - Current Source ID`,
 				})
 
 				if (level === 'V') {
 					variables.push({
 						variableId: `xpt_${levelLower}_${dest}_name`,
-						name: `Crosspoint ${level} - Destination ${dest} - Current Source Name`,
+						name: `Crosspoint ${levelLabel} - Destination ${dest} - Current Source Name`,
 					})
 				}
 			}
 		}
 
 		self.setVariableDefinitions(variables)
-
-		// Initialize new variables to empty string
-		const initialValues = {}
-
-		for (let src = 1; src <= maxSrc; src++) {
-			initialValues[`src_${src}_name`] = ''
-		}
-		for (let dest = 1; dest <= maxDest; dest++) {
-			initialValues[`dst_${dest}_name`] = ''
-			initialValues[`dst_${dest}_lock_state`] = ''
-		}
-
-		for (const level of xptLevels) {
-			const levelLower = level.toLowerCase()
-			for (let dest = 1; dest <= maxDest; dest++) {
-				initialValues[`xpt_${levelLower}_${dest}`] = ''
-
-				if (level === 'V') {
-					initialValues[`xpt_${levelLower}_${dest}_name`] = ''
-				}
-			}
-		}
-
-		self.setVariableValues(initialValues)
 	},
 }